@@ -0,0 +1,251 @@
+// Server settings: built-in defaults, overridden by a config file (config.json, or the file CONFIG_PATH
+// points at), overridden in turn by environment variables. Everything is validated at startup and
+// all problems are reported together, so a bad deployment fails right away instead of misbehaving later
+const fs = require('fs');
+const path = require('path');
+const { DETECTORS } = require('./scrub');
+
+const DEFAULTS = {
+    server: {
+        port: 3005,
+        host: 'localhost',
+        trustProxy: true // true, false, a hop count, or a list of proxy addresses / CIDR ranges
+    },
+    rateLimit: {
+        max: 100, // requests per IP per window
+        windowMs: 60000
+    },
+    cors: {
+        origins: true // true allows any origin, otherwise a list of allowed origins
+    },
+    donation: {
+        enabled: true,
+        dir: 'donations', // append-only JSONL files, one per day
+        maxFileBytes: 64 * 1024 * 1024, // a day's file continues in a new part past this size
+        maxMessages: 15, // messages kept per donated chat
+        duplicateThreshold: 0.8, // word-shingle similarity (0-1) at which a chat counts as a near duplicate
+        disabledDetectors: [] // PII detectors (see scrub.js) to skip when redacting donated chats
+    },
+    relay: {
+        balancing: 'least-busy',
+        maxActivePerWorker: 1,
+        queueMaxDepth: 10,
+        queueTimeoutMs: 120000,
+        firstTokenTimeoutMs: 120000, // WebLLM may load a model first
+        idleTimeoutMs: 60000,
+        totalTimeoutMs: 600000
+    },
+    keys: {
+        storePath: 'keys.json'
+    },
+    admin: {
+        token: '' // bearer token for /admin routes (dataset exports); empty disables them
+    }
+};
+
+// Environment variable -> setting it overrides, and how to read it
+const ENV_OVERRIDES = [
+    ['PORT', 'server.port', 'integer'],
+    ['HOST', 'server.host', 'string'],
+    ['TRUST_PROXY', 'server.trustProxy', 'trustProxy'],
+    ['RATE_LIMIT_MAX', 'rateLimit.max', 'integer'],
+    ['RATE_LIMIT_WINDOW_MS', 'rateLimit.windowMs', 'integer'],
+    ['CORS_ORIGINS', 'cors.origins', 'origins'],
+    ['DONATION_ENABLED', 'donation.enabled', 'boolean'],
+    ['DONATION_DIR', 'donation.dir', 'string'],
+    ['DONATION_MAX_FILE_BYTES', 'donation.maxFileBytes', 'integer'],
+    ['DONATION_MAX_MESSAGES', 'donation.maxMessages', 'integer'],
+    ['DONATION_DUPLICATE_THRESHOLD', 'donation.duplicateThreshold', 'number'],
+    ['DONATION_DISABLED_DETECTORS', 'donation.disabledDetectors', 'list'],
+    ['RELAY_BALANCING', 'relay.balancing', 'string'],
+    ['RELAY_MAX_ACTIVE_PER_WORKER', 'relay.maxActivePerWorker', 'integer'],
+    ['RELAY_QUEUE_MAX_DEPTH', 'relay.queueMaxDepth', 'integer'],
+    ['RELAY_QUEUE_TIMEOUT_MS', 'relay.queueTimeoutMs', 'integer'],
+    ['RELAY_FIRST_TOKEN_TIMEOUT_MS', 'relay.firstTokenTimeoutMs', 'integer'],
+    ['RELAY_IDLE_TIMEOUT_MS', 'relay.idleTimeoutMs', 'integer'],
+    ['RELAY_TOTAL_TIMEOUT_MS', 'relay.totalTimeoutMs', 'integer'],
+    ['KEY_STORE_PATH', 'keys.storePath', 'string'],
+    ['ADMIN_TOKEN', 'admin.token', 'string']
+];
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super('Invalid server configuration:\n' + problems.map(problem => `  - ${problem}`).join('\n'));
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readConfigFile(filePath, problems) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        problems.push(`Cannot read config file ${filePath}: ${error.message}`);
+        return {};
+    }
+
+    try {
+        if (/\.ya?ml$/i.test(filePath)) {
+            let yaml;
+            try {
+                yaml = require('yaml');
+            } catch {
+                problems.push(`${filePath} is YAML, but the "yaml" package is not installed (npm install yaml), or use a .json file`);
+                return {};
+            }
+            return yaml.parse(text) || {};
+        }
+        return JSON.parse(text);
+    } catch (error) {
+        problems.push(`Cannot parse config file ${filePath}: ${error.message}`);
+        return {};
+    }
+}
+
+// Copy file settings over the defaults; unknown keys are reported, since they are almost always typos
+function mergeSettings(target, source, prefix, problems) {
+    if (!isPlainObject(source)) {
+        problems.push(`${prefix || 'The config file'} must be an object`);
+        return;
+    }
+    for (const [key, value] of Object.entries(source)) {
+        const name = prefix ? `${prefix}.${key}` : key;
+        // Own keys only: inherited names like "constructor" or "__proto__" are not settings
+        if (!Object.hasOwn(target, key)) {
+            problems.push(`Unknown setting "${name}"`);
+        } else if (isPlainObject(target[key])) {
+            mergeSettings(target[key], value, name, problems);
+        } else {
+            target[key] = value;
+        }
+    }
+}
+
+function parseEnvValue(name, raw, type, problems) {
+    const value = raw.trim();
+    switch (type) {
+        case 'integer':
+        case 'number':
+            if (value === '' || isNaN(Number(value))) {
+                problems.push(`${name} must be a number, got "${raw}"`);
+                return undefined;
+            }
+            return Number(value);
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+            problems.push(`${name} must be true or false, got "${raw}"`);
+            return undefined;
+        case 'trustProxy':
+            if (['true', 'false'].includes(value.toLowerCase())) return value.toLowerCase() === 'true';
+            if (/^\d+$/.test(value)) return Number(value);
+            return value.split(',').map(entry => entry.trim()).filter(Boolean);
+        case 'list':
+            return value.split(',').map(entry => entry.trim()).filter(Boolean);
+        case 'origins':
+            if (value === '*' || value.toLowerCase() === 'true') return true;
+            return value.split(',').map(entry => entry.trim()).filter(Boolean);
+        default:
+            return value;
+    }
+}
+
+function setPath(config, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    keys.reduce((section, key) => section[key], config)[last] = value;
+}
+
+function checkInteger(problems, name, value, min, max = Number.MAX_SAFE_INTEGER) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        const range = max === Number.MAX_SAFE_INTEGER ? `at least ${min}` : `between ${min} and ${max}`;
+        problems.push(`${name} must be an integer ${range}, got ${JSON.stringify(value)}`);
+    }
+}
+
+function checkString(problems, name, value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        problems.push(`${name} must be a non-empty string, got ${JSON.stringify(value)}`);
+    }
+}
+
+function validateConfig(config, problems) {
+    const { server, rateLimit, cors, donation, relay, keys, admin } = config;
+
+    checkInteger(problems, 'server.port', server.port, 1, 65535);
+    checkString(problems, 'server.host', server.host);
+    const trustProxyOk = typeof server.trustProxy === 'boolean' ||
+        (Number.isInteger(server.trustProxy) && server.trustProxy >= 0) ||
+        (Array.isArray(server.trustProxy) && server.trustProxy.every(entry => typeof entry === 'string' && entry));
+    if (!trustProxyOk) {
+        problems.push(`server.trustProxy must be true, false, a hop count or a list of addresses, got ${JSON.stringify(server.trustProxy)}`);
+    }
+
+    checkInteger(problems, 'rateLimit.max', rateLimit.max, 1);
+    checkInteger(problems, 'rateLimit.windowMs', rateLimit.windowMs, 1000);
+
+    if (cors.origins !== true && !(Array.isArray(cors.origins) && cors.origins.every(origin => typeof origin === 'string' && origin))) {
+        problems.push(`cors.origins must be true (any origin) or a list of origins, got ${JSON.stringify(cors.origins)}`);
+    }
+
+    if (typeof donation.enabled !== 'boolean') problems.push(`donation.enabled must be true or false, got ${JSON.stringify(donation.enabled)}`);
+    checkString(problems, 'donation.dir', donation.dir);
+    checkInteger(problems, 'donation.maxFileBytes', donation.maxFileBytes, 1024);
+    checkInteger(problems, 'donation.maxMessages', donation.maxMessages, 1);
+    if (typeof donation.duplicateThreshold !== 'number' || donation.duplicateThreshold <= 0 || donation.duplicateThreshold > 1) {
+        problems.push(`donation.duplicateThreshold must be a number above 0 and at most 1, got ${JSON.stringify(donation.duplicateThreshold)}`);
+    }
+    const detectorNames = DETECTORS.map(detector => detector.name);
+    if (!Array.isArray(donation.disabledDetectors) || !donation.disabledDetectors.every(name => detectorNames.includes(name))) {
+        problems.push(`donation.disabledDetectors must be a list of detector names (${detectorNames.join(', ')}), got ${JSON.stringify(donation.disabledDetectors)}`);
+    }
+
+    if (!['least-busy', 'round-robin'].includes(relay.balancing)) {
+        problems.push(`relay.balancing must be "least-busy" or "round-robin", got ${JSON.stringify(relay.balancing)}`);
+    }
+    checkInteger(problems, 'relay.maxActivePerWorker', relay.maxActivePerWorker, 1);
+    checkInteger(problems, 'relay.queueMaxDepth', relay.queueMaxDepth, 0);
+    for (const name of ['queueTimeoutMs', 'firstTokenTimeoutMs', 'idleTimeoutMs', 'totalTimeoutMs']) {
+        checkInteger(problems, `relay.${name}`, relay[name], 1000);
+    }
+
+    checkString(problems, 'keys.storePath', keys.storePath);
+
+    if (typeof admin.token !== 'string' || (admin.token !== '' && admin.token.length < 16)) {
+        problems.push('admin.token must be empty (admin routes off) or at least 16 characters');
+    }
+}
+
+// Load, merge and validate the settings. Throws a ConfigError listing every problem found
+function loadConfig(env = process.env, baseDir = __dirname) {
+    const problems = [];
+    const config = JSON.parse(JSON.stringify(DEFAULTS));
+
+    // An explicit CONFIG_PATH must exist; the default config.json is optional
+    const filePath = env.CONFIG_PATH ? path.resolve(baseDir, env.CONFIG_PATH) : path.join(baseDir, 'config.json');
+    if (env.CONFIG_PATH || fs.existsSync(filePath)) {
+        const fileSettings = readConfigFile(filePath, problems);
+        mergeSettings(config, fileSettings, '', problems);
+    }
+
+    for (const [name, dottedPath, type] of ENV_OVERRIDES) {
+        if (env[name] === undefined) continue;
+        const value = parseEnvValue(name, env[name], type, problems);
+        if (value !== undefined) setPath(config, dottedPath, value);
+    }
+
+    validateConfig(config, problems);
+    if (problems.length > 0) throw new ConfigError(problems);
+
+    // Relative file paths are relative to the server directory, not the working directory
+    config.donation.dir = path.resolve(baseDir, config.donation.dir);
+    config.keys.storePath = path.resolve(baseDir, config.keys.storePath);
+    return config;
+}
+
+module.exports = { loadConfig, ConfigError, DEFAULTS };
@@ -0,0 +1,196 @@
+// Dataset exports of the donation corpus: filters, a stable train/validation split, and the
+// ShareGPT, OpenAI fine-tuning and Alpaca formats. Records are converted one at a time, so an export
+// streams no matter how large the corpus is
+const crypto = require('crypto');
+
+const FORMATS = {
+    // [{ "id", "conversations": [{ "from": "system" | "human" | "gpt", "value" }] }]
+    sharegpt: {
+        contentType: 'application/json',
+        extension: 'json',
+        array: true,
+        convert: (record) => {
+            const roles = { system: 'system', user: 'human', assistant: 'gpt', tool: 'tool' };
+            const conversations = textMessages(record.messages)
+                .filter(message => roles[message.role])
+                .map(message => ({ from: roles[message.role], value: message.content }));
+            return conversations.some(turn => turn.from === 'gpt') ? [{ id: record.id, conversations }] : [];
+        }
+    },
+    // One { "messages": [...] } per line, ending on an assistant turn so it has something to train on
+    openai: {
+        contentType: 'application/jsonl',
+        extension: 'jsonl',
+        array: false,
+        convert: (record) => {
+            const messages = textMessages(record.messages).filter(message => ['system', 'user', 'assistant'].includes(message.role));
+            let last = messages.length - 1;
+            while (last >= 0 && messages[last].role !== 'assistant') last--;
+            return last >= 0 ? [{ messages: messages.slice(0, last + 1) }] : [];
+        }
+    },
+    // One { "instruction", "input", "output" } per user turn answered by the assistant; the system prompt,
+    // if any, goes in "system"
+    alpaca: {
+        contentType: 'application/json',
+        extension: 'json',
+        array: true,
+        convert: (record) => {
+            const messages = textMessages(record.messages);
+            const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+            const pairs = [];
+            for (let i = 1; i < messages.length; i++) {
+                if (messages[i].role !== 'assistant' || messages[i - 1].role !== 'user') continue;
+                const pair = { instruction: messages[i - 1].content, input: '', output: messages[i].content };
+                if (system) pair.system = system;
+                pairs.push(pair);
+            }
+            return pairs;
+        }
+    }
+};
+
+// Messages with their content as plain text; image and other non-text parts are dropped
+function textMessages(messages) {
+    return messages
+        .filter(message => message && typeof message === 'object')
+        .map(message => ({
+            role: message.role,
+            content: typeof message.content === 'string' ? message.content
+                : Array.isArray(message.content) ? message.content.filter(part => part && part.type === 'text').map(part => part.text).join('\n')
+                : ''
+        }))
+        .filter(message => message.content.trim() !== '');
+}
+
+// Scripts that mostly mean one language, then stopwords for Latin-script languages
+const SCRIPT_LANGUAGES = [
+    ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+    ['ko', /\p{Script=Hangul}/gu],
+    ['zh', /\p{Script=Han}/gu],
+    ['ru', /\p{Script=Cyrillic}/gu],
+    ['ar', /\p{Script=Arabic}/gu],
+    ['th', /\p{Script=Thai}/gu]
+];
+const STOPWORDS = {
+    en: ['the', 'and', 'you', 'that', 'is', 'to', 'of', 'it', 'with', 'for', 'was', 'her', 'his', 'she', 'he'],
+    es: ['el', 'la', 'que', 'de', 'y', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'una', 'es', 'pero'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'que', 'des', 'une', 'pas', 'vous', 'je', 'il', 'elle', 'dans', 'pour'],
+    de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ich', 'sie', 'er', 'mit', 'den', 'ein', 'eine', 'zu', 'auf'],
+    pt: ['o', 'que', 'de', 'e', 'não', 'um', 'uma', 'os', 'para', 'com', 'ele', 'ela', 'você', 'mas', 'está'],
+    it: ['il', 'che', 'di', 'non', 'la', 'e', 'un', 'per', 'una', 'sono', 'con', 'lei', 'lui', 'ma', 'gli'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'ik', 'je', 'niet', 'dat', 'is', 'zijn', 'met', 'op', 'hij', 'zij'],
+    pl: ['nie', 'się', 'że', 'jest', 'to', 'na', 'i', 'w', 'z', 'do', 'jak', 'ale', 'co', 'mnie', 'jej']
+};
+
+// Best-guess ISO 639-1 code of a chat, from its user and assistant turns (system prompts are often
+// English whatever language the chat is in). 'unknown' when there is too little text to tell
+function detectLanguage(messages) {
+    const turns = textMessages(messages).filter(message => message.role !== 'system');
+    const text = (turns.length > 0 ? turns : textMessages(messages)).map(message => message.content).join(' ').slice(0, 20000);
+
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters < 20) return 'unknown';
+    for (const [language, pattern] of SCRIPT_LANGUAGES) {
+        if ((text.match(pattern) || []).length / letters > 0.3) return language;
+    }
+
+    const counts = {};
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) counts[word] = (counts[word] || 0) + 1;
+    let best = 'unknown';
+    let bestScore = 2;
+    for (const [language, words] of Object.entries(STOPWORDS)) {
+        const score = words.reduce((sum, word) => sum + (counts[word] || 0), 0);
+        if (score > bestScore) {
+            best = language;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// Validation share of a split, decided by the chat's content hash so a chat stays on the same side
+// across exports as long as the seed doesn't change
+function isValidation(record, fraction, seed) {
+    if (fraction <= 0) return false;
+    const digest = crypto.createHash('sha256').update(`${seed}:${record.hash || record.id}`).digest();
+    return digest.readUInt32BE(0) / 0x100000000 < fraction;
+}
+
+// Parse the export query string. Returns { options } or { error } with a message for the caller
+function parseExportQuery(query) {
+    const list = (value) => String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+    const options = {
+        from: null,
+        to: null,
+        minTurns: 0,
+        presets: null,
+        languages: null,
+        split: 'all',
+        validation: 0.1,
+        seed: ''
+    };
+
+    for (const name of ['from', 'to']) {
+        if (query[name] === undefined) continue;
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(query[name]) ? new Date(`${query[name]}T00:00:00Z`) : new Date(query[name]);
+        if (isNaN(date.getTime())) return { error: `${name} must be a date (YYYY-MM-DD) or timestamp` };
+        // A bare end date includes that whole day
+        if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[name])) date.setUTCDate(date.getUTCDate() + 1);
+        options[name] = date;
+    }
+    if (query.min_turns !== undefined) {
+        options.minTurns = Number(query.min_turns);
+        if (!Number.isInteger(options.minTurns) || options.minTurns < 0) return { error: 'min_turns must be a non-negative integer' };
+    }
+    if (query.preset !== undefined) options.presets = list(query.preset);
+    if (query.language !== undefined) options.languages = list(query.language).map(language => language.toLowerCase());
+    if (query.split !== undefined) {
+        if (!['all', 'train', 'validation'].includes(query.split)) return { error: 'split must be all, train or validation' };
+        options.split = query.split;
+    }
+    if (query.validation !== undefined) {
+        options.validation = Number(query.validation);
+        if (isNaN(options.validation) || options.validation < 0 || options.validation >= 1) return { error: 'validation must be a fraction from 0 up to (not including) 1' };
+    }
+    if (query.seed !== undefined) options.seed = String(query.seed);
+    return { options };
+}
+
+// Whether a stored record passes the export filters and belongs to the requested split
+function matchesExport(record, options) {
+    const created = new Date(record.created_at);
+    if (options.from && !(created >= options.from)) return false;
+    if (options.to && !(created < options.to)) return false;
+    if (options.minTurns > 0) {
+        const turns = textMessages(record.messages).filter(message => message.role === 'user' || message.role === 'assistant').length;
+        if (turns < options.minTurns) return false;
+    }
+    if (options.presets && !options.presets.includes(record.preset || 'none')) return false;
+    if (options.languages && !options.languages.includes(detectLanguage(record.messages))) return false;
+    if (options.split !== 'all' && isValidation(record, options.validation, options.seed) !== (options.split === 'validation')) return false;
+    return true;
+}
+
+// The export format of that name, or null; only FORMATS' own keys count, not inherited ones like "constructor"
+function getFormat(name) {
+    return typeof name === 'string' && Object.hasOwn(FORMATS, name) ? FORMATS[name] : null;
+}
+
+// Serialized export, chunk by chunk: a JSON array or JSON lines, depending on the format
+async function* exportRecords(records, format, options) {
+    const { convert, array } = getFormat(format);
+    let first = true;
+    if (array) yield '[\n';
+    for await (const record of records) {
+        if (!matchesExport(record, options)) continue;
+        for (const item of convert(record)) {
+            const json = JSON.stringify(item);
+            yield array ? (first ? json : ',\n' + json) : json + '\n';
+            first = false;
+        }
+    }
+    if (array) yield first ? ']\n' : '\n]\n';
+}
+
+module.exports = { FORMATS, getFormat, detectLanguage, parseExportQuery, exportRecords };
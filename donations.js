@@ -0,0 +1,451 @@
+// Append-only donation store. Donated chats are appended as one JSON line each to
+// donations-YYYY-MM-DD.jsonl files in the donation directory; a file that grows past maxFileBytes
+// continues in donations-YYYY-MM-DD-1.jsonl and so on. Lines are never rewritten.
+// All writes go through one queue, so concurrent donations can't interleave or race the duplicate check.
+// index.json remembers the content hash of every stored chat and how far each file has been indexed;
+// signatures.bin holds the MinHash signature of every chat for the near-duplicate index (see neardup.js).
+// Startup only reads what was appended since the last index snapshot.
+// The one exception to append-only is removeDonor(): a donor withdrawing their chats gets them purged by
+// rewriting just the files that hold them, found through the donor index, and clearing their signature slots
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { SIGNATURE_SIZE, conversationSignature, createMinHashIndex } = require('./neardup');
+
+const FILE_PATTERN = /^donations-(\d{4}-\d{2}-\d{2})(?:-(\d+))?\.jsonl$/;
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 3; // an index.json of another version is rebuilt from the donation files
+const SIGNATURE_FILE = 'signatures.bin';
+const SALT_FILE = 'donor-salt'; // keyed hash of donor secrets; lives with the data so donor ids stay valid
+const SIGNATURE_BYTES = SIGNATURE_SIZE * 4;
+const INDEX_SAVE_DELAY_MS = 5000;
+
+// Same chat, same hash: roles and contents only, so client-side extras don't defeat the dedup
+function hashMessages(messages) {
+    const content = messages.map(message => [message && message.role, message && message.content]);
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').substring(0, 16);
+}
+
+// Oldest first: by date, then by rotation number
+function compareFileNames(a, b) {
+    const [, dateA, partA] = a.match(FILE_PATTERN);
+    const [, dateB, partB] = b.match(FILE_PATTERN);
+    return dateA === dateB ? (Number(partA) || 0) - (Number(partB) || 0) : dateA.localeCompare(dateB);
+}
+
+// Write a whole file or nothing: write a temp file, then rename it over the target
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    return fs.promises.writeFile(tempPath, data).then(() => fs.promises.rename(tempPath, filePath));
+}
+
+// Call onLine for every complete line from `offset` on. Returns the offset just past the last newline,
+// so a line cut short by a crash is left for repair instead of being read as a record
+function readLinesFrom(filePath, offset, onLine) {
+    const fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(1024 * 1024);
+    let position = offset;
+    let pending = Buffer.alloc(0);
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position)) > 0) {
+            position += bytesRead;
+            pending = Buffer.concat([pending, buffer.subarray(0, bytesRead)]);
+            let newline;
+            while ((newline = pending.indexOf(0x0a)) !== -1) {
+                onLine(pending.subarray(0, newline).toString('utf8'));
+                pending = pending.subarray(newline + 1);
+            }
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return position - pending.length;
+}
+
+function encodeSignature(signature) {
+    const buffer = Buffer.alloc(SIGNATURE_BYTES);
+    signature.forEach((value, i) => buffer.writeUInt32LE(value, i * 4));
+    return buffer;
+}
+
+function decodeSignature(buffer, offset) {
+    const signature = new Uint32Array(SIGNATURE_SIZE);
+    for (let i = 0; i < SIGNATURE_SIZE; i++) signature[i] = buffer.readUInt32LE(offset + i * 4);
+    return signature;
+}
+
+function parseRecord(line) {
+    try {
+        const record = JSON.parse(line);
+        return record && Array.isArray(record.messages) ? record : null;
+    } catch {
+        return null;
+    }
+}
+
+// options: { dir, maxFileBytes, duplicateThreshold, legacyPath, scrub }
+// scrub(messages) -> { messages, counts } redacts legacy chats on import, as /donate does for new ones
+function createDonationStore(options) {
+    const { dir, maxFileBytes, duplicateThreshold } = options;
+    const indexPath = path.join(dir, INDEX_FILE);
+    const signaturePath = path.join(dir, SIGNATURE_FILE);
+
+    let hashes = new Set();
+    let files = {}; // file name -> { bytes, records } indexed so far
+    let donors = new Map(); // donor id -> { files: Set of file names, slots: [signature slots] }
+    let nearIndex = createMinHashIndex();
+    let donorSalt = null;
+    let pendingSignatures = []; // encoded signatures computed while loading, written in one go
+    let queue = Promise.resolve();
+    let indexTimer = null;
+
+    // Run tasks one at a time, in order; a failed task doesn't stop the ones behind it
+    function enqueue(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    function dataFiles() {
+        return fs.readdirSync(dir).filter(name => FILE_PATTERN.test(name)).sort(compareFileNames);
+    }
+
+    // Index a stored chat: its hash, and for a donor's chat where it lives. `slot` is its signature slot, if any
+    function remember(record, name, slot) {
+        if (record.hash) hashes.add(record.hash);
+        if (!record.donor) return;
+        if (!donors.has(record.donor)) donors.set(record.donor, { files: new Set(), slots: [] });
+        const donor = donors.get(record.donor);
+        donor.files.add(name);
+        if (slot !== null) donor.slots.push(slot);
+    }
+
+    // Index a chat read back from disk; its signature is written out at the end of load()
+    function rememberLoaded(record, name) {
+        const signature = conversationSignature(record.messages);
+        let slot = null;
+        if (signature) {
+            slot = nearIndex.add(signature);
+            pendingSignatures.push(encodeSignature(signature));
+        }
+        remember(record, name, slot);
+    }
+
+    function serializeDonors() {
+        const result = {};
+        for (const [donor, entry] of donors) result[donor] = { files: Array.from(entry.files), slots: entry.slots };
+        return result;
+    }
+
+    function restoreDonors(saved) {
+        donors = new Map();
+        for (const [donor, entry] of Object.entries(saved || {})) {
+            donors.set(donor, { files: new Set(entry.files), slots: entry.slots });
+        }
+    }
+
+    function load() {
+        fs.mkdirSync(dir, { recursive: true });
+        loadSalt();
+
+        let signatureCount = 0;
+        try {
+            const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            if (saved.version === INDEX_VERSION) {
+                hashes = new Set(saved.hashes || []);
+                files = saved.files || {};
+                restoreDonors(saved.donors);
+                signatureCount = saved.signatures || 0;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`Donation index unreadable, rebuilding it: ${error.message}`);
+        }
+
+        // Signatures past the snapshot belong to chats that are read again below, so they are dropped here
+        let signatureBytes = Buffer.alloc(0);
+        try {
+            signatureBytes = fs.readFileSync(signaturePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        // A file smaller than the snapshot says was rewritten by removeDonor() after the last index save
+        const shrunk = Object.entries(files).some(([name, file]) => {
+            const filePath = path.join(dir, name);
+            return !fs.existsSync(filePath) || fs.statSync(filePath).size < file.bytes;
+        });
+        if (signatureBytes.length < signatureCount * SIGNATURE_BYTES || shrunk) {
+            console.error('Donation index is out of date, rebuilding it from the donation files');
+            hashes = new Set();
+            files = {};
+            donors = new Map();
+            signatureCount = 0;
+        }
+        for (let slot = 0; slot < signatureCount; slot++) {
+            nearIndex.add(decodeSignature(signatureBytes, slot * SIGNATURE_BYTES));
+        }
+        fs.writeFileSync(signaturePath, signatureBytes.subarray(0, signatureCount * SIGNATURE_BYTES));
+
+        // Index whatever was appended after the snapshot, and files the snapshot doesn't know
+        const indexed = files;
+        files = {};
+        for (const name of dataFiles()) {
+            const filePath = path.join(dir, name);
+            const size = fs.statSync(filePath).size;
+            const known = indexed[name] && indexed[name].bytes <= size ? indexed[name] : { bytes: 0, records: 0 };
+            if (known.bytes === size) {
+                files[name] = known;
+                continue;
+            }
+
+            let records = known.records;
+            const end = readLinesFrom(filePath, known.bytes, (line) => {
+                const record = parseRecord(line);
+                if (!record) return;
+                rememberLoaded(record, name);
+                records++;
+            });
+
+            // A crash in the middle of an append leaves a partial last line; cut it off so the next line starts clean
+            if (end < size) {
+                console.warn(`Donation file ${name} ends in a partial line, truncating ${size - end} bytes`);
+                fs.truncateSync(filePath, end);
+            }
+            files[name] = { bytes: end, records: records };
+        }
+
+        importLegacy();
+        fs.appendFileSync(signaturePath, Buffer.concat(pendingSignatures));
+        pendingSignatures = [];
+        scheduleIndexSave();
+    }
+
+    function loadSalt() {
+        const saltPath = path.join(dir, SALT_FILE);
+        try {
+            donorSalt = fs.readFileSync(saltPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            donorSalt = crypto.randomBytes(32);
+            fs.writeFileSync(saltPath, donorSalt, { mode: 0o600 });
+        }
+    }
+
+    // Pseudonymous id of a donor, from a value only they can produce (the server derives it from their
+    // worker secret); the same seed always maps to the same id
+    function donorId(seed) {
+        return crypto.createHmac('sha256', donorSalt).update(seed).digest('hex').substring(0, 32);
+    }
+
+    // The old store kept every chat in one JSON array; move them over once, then set the file aside
+    function importLegacy() {
+        if (!options.legacyPath || !fs.existsSync(options.legacyPath)) return;
+
+        let chats;
+        try {
+            chats = JSON.parse(fs.readFileSync(options.legacyPath, 'utf8'));
+        } catch (error) {
+            console.error(`Could not import ${options.legacyPath}: ${error.message}`);
+            return;
+        }
+        if (!Array.isArray(chats)) return;
+
+        let imported = 0;
+        for (const messages of chats) {
+            if (!Array.isArray(messages)) continue;
+            const scrubbed = options.scrub ? options.scrub(messages) : { messages, counts: {} };
+            if (hashes.has(hashMessages(scrubbed.messages))) continue;
+            appendSync(buildRecord(scrubbed.messages, { redactions: scrubbed.counts }));
+            imported++;
+        }
+        fs.renameSync(options.legacyPath, `${options.legacyPath}.imported`);
+        console.log(`Imported ${imported} donated chats from ${options.legacyPath}`);
+    }
+
+    function buildRecord(messages, extra) {
+        return {
+            id: crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            hash: hashMessages(messages),
+            ...extra,
+            messages: messages
+        };
+    }
+
+    // Today's newest file, or the next rotation of it once that one is full
+    function targetFile(lineBytes) {
+        const date = new Date().toISOString().substring(0, 10);
+        const name = (part) => part === 0 ? `donations-${date}.jsonl` : `donations-${date}-${part}.jsonl`;
+        let part = 0;
+        while (files[name(part + 1)]) part++;
+        const bytes = files[name(part)] ? files[name(part)].bytes : 0;
+        return bytes === 0 || bytes + lineBytes <= maxFileBytes ? name(part) : name(part + 1);
+    }
+
+    function track(name, lineBytes) {
+        if (!files[name]) files[name] = { bytes: 0, records: 0 };
+        files[name].bytes += lineBytes;
+        files[name].records++;
+    }
+
+    function appendSync(record) {
+        const line = JSON.stringify(record) + '\n';
+        const lineBytes = Buffer.byteLength(line);
+        const name = targetFile(lineBytes);
+        fs.appendFileSync(path.join(dir, name), line);
+        track(name, lineBytes);
+        rememberLoaded(record, name);
+    }
+
+    function scheduleIndexSave() {
+        if (indexTimer) return;
+        indexTimer = setTimeout(() => {
+            indexTimer = null;
+            enqueue(() => saveIndex()).catch(error => console.error(`Failed to write the donation index: ${error.message}`));
+        }, INDEX_SAVE_DELAY_MS);
+        indexTimer.unref();
+    }
+
+    function saveIndex() {
+        return writeFileAtomic(indexPath, JSON.stringify({
+            version: INDEX_VERSION,
+            files: files,
+            hashes: Array.from(hashes),
+            donors: serializeDonors(),
+            signatures: nearIndex.size()
+        }));
+    }
+
+    // Store a chat unless it is already there. `extra` fields are saved on the record next to the messages.
+    // Resolves to 'stored' or 'duplicate'
+    function add(messages, extra = {}) {
+        return enqueue(async () => {
+            if (hashes.has(hashMessages(messages))) return 'duplicate';
+            const signature = conversationSignature(messages);
+            if (signature && nearIndex.findSimilar(signature, duplicateThreshold)) return 'duplicate';
+
+            const record = buildRecord(messages, extra);
+            // One write per record, and the queue keeps the next one from starting until it is done
+            const line = JSON.stringify(record) + '\n';
+            const lineBytes = Buffer.byteLength(line);
+            const name = targetFile(lineBytes);
+            await fs.promises.appendFile(path.join(dir, name), line);
+            track(name, lineBytes);
+            // Written after the chat: a crash in between only costs a signature, which the next start recomputes
+            let slot = null;
+            if (signature) {
+                await fs.promises.appendFile(signaturePath, encodeSignature(signature));
+                slot = nearIndex.add(signature);
+            }
+            remember(record, name, slot);
+            scheduleIndexSave();
+            return 'stored';
+        });
+    }
+
+    // Every stored record, oldest first, read as a stream. Only what was stored when the read started is
+    // returned, so a chat being appended meanwhile never shows up half written
+    async function* records() {
+        const snapshot = Object.keys(files).sort(compareFileNames).map(name => [name, files[name].bytes]);
+        for (const [name, bytes] of snapshot) {
+            if (bytes === 0) continue;
+            const lines = readline.createInterface({
+                input: fs.createReadStream(path.join(dir, name), { start: 0, end: bytes - 1 }),
+                crlfDelay: Infinity
+            });
+            for await (const line of lines) {
+                const record = parseRecord(line);
+                if (record) yield record;
+            }
+        }
+    }
+
+    // Purge every chat of a donor: stream each file that holds any of them into a copy without those lines
+    // and swap it in, then clear their signature slots. Resolves to the number of chats removed
+    function removeDonor(donor) {
+        return enqueue(async () => {
+            const entry = donors.get(donor);
+            if (!entry) return 0;
+
+            let removed = 0;
+            for (const name of entry.files) {
+                if (files[name]) removed += await rewriteWithout(name, donor);
+            }
+
+            if (entry.slots.length > 0) {
+                const cleared = Buffer.alloc(SIGNATURE_BYTES);
+                const handle = await fs.promises.open(signaturePath, 'r+');
+                try {
+                    for (const slot of entry.slots) {
+                        nearIndex.remove(slot);
+                        await handle.write(cleared, 0, SIGNATURE_BYTES, slot * SIGNATURE_BYTES);
+                    }
+                } finally {
+                    await handle.close();
+                }
+            }
+
+            donors.delete(donor);
+            await saveIndex();
+            return removed;
+        });
+    }
+
+    // Rewrite one file without the donor's lines, a line at a time. Returns how many lines were dropped
+    async function rewriteWithout(name, donor) {
+        const filePath = path.join(dir, name);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const output = fs.createWriteStream(tempPath);
+        const lines = readline.createInterface({
+            input: fs.createReadStream(filePath, { start: 0, end: files[name].bytes - 1 }),
+            crlfDelay: Infinity
+        });
+
+        let removed = 0;
+        let keptBytes = 0;
+        let keptRecords = 0;
+        try {
+            for await (const line of lines) {
+                const record = parseRecord(line);
+                if (record && record.donor === donor) {
+                    if (record.hash) hashes.delete(record.hash);
+                    removed++;
+                    continue;
+                }
+                const data = line + '\n';
+                keptBytes += Buffer.byteLength(data);
+                if (record) keptRecords++;
+                if (!output.write(data)) await new Promise(resolve => output.once('drain', resolve));
+            }
+            await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+        } catch (error) {
+            output.destroy();
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        if (keptBytes === 0) {
+            await fs.promises.rm(tempPath, { force: true });
+            await fs.promises.unlink(filePath);
+            delete files[name];
+        } else {
+            await fs.promises.rename(tempPath, filePath);
+            files[name] = { bytes: keptBytes, records: keptRecords };
+        }
+        return removed;
+    }
+
+    function stats() {
+        return {
+            chats: Object.values(files).reduce((sum, file) => sum + file.records, 0),
+            files: Object.keys(files).length,
+            bytes: Object.values(files).reduce((sum, file) => sum + file.bytes, 0)
+        };
+    }
+
+    load();
+    return { add, records, removeDonor, donorId, stats };
+}
+
+module.exports = { createDonationStore, hashMessages };
@@ -2,17 +2,31 @@ const fastify = require('fastify');
 const path = require('path');
 const { Server } = require("socket.io");
 const fs = require('fs');
+const crypto = require('crypto');
 const cors = require('@fastify/cors');
-
+const { loadConfig } = require('./config');
+const { createDonationStore } = require('./donations');
+const { createScrubber } = require('./scrub');
+const { FORMATS, getFormat, parseExportQuery, exportRecords } = require('./dataset');
+const { Readable } = require('stream');
+
+// Settings from config.json / CONFIG_PATH and the environment; bad settings stop the server here
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
 const server = fastify({
     logger: false, 
-    trustProxy: true
+    trustProxy: config.server.trustProxy
 });
 
 server.register(require('@fastify/rate-limit'), {
-    max: 100,
-    timeWindow: '1 minute'
+    max: config.rateLimit.max,
+    timeWindow: config.rateLimit.windowMs
 });
 
 const isProduction = process.env.NODE_ENV === 'production';
@@ -53,7 +67,7 @@ server.setNotFoundHandler((request, reply) => {
     });
 });
 
-server.register(cors, { origin: true });
+server.register(cors, { origin: config.cors.origins });
 
 // Security: Add rate limiting
 const rateLimitStore = new Map();
@@ -104,8 +118,8 @@ setInterval(() => {
     }
 }, 5 * 60 * 1000);
 
-// Apply rate limiting: 100 requests per minute per IP
-server.addHook('preHandler', rateLimit(100, 60000, ['/health', '/api/stats']));
+// Apply rate limiting: config.rateLimit.max requests per window per IP
+server.addHook('preHandler', rateLimit(config.rateLimit.max, config.rateLimit.windowMs, ['/health', '/api/stats']));
 
 // Security: Add security headers
 server.addHook('onSend', async (_request, reply) => {
@@ -131,7 +145,152 @@ const io = new Server(server.server, {
     transports: ['websocket', 'polling'] // Prefer websocket for lower latency
 });
 
-let connected_users = new Map(); // userkeys -> { socket: socket, connected_at: timestamp }
+let connected_users = new Map(); // userkeys -> { workers: Map(socket.id -> worker), next_index: number }
+
+// Several browser tabs may serve one key; requests are balanced across them
+const WORKER_POOL = {
+    balancing: config.relay.balancing
+};
+
+// Pick a worker for a new generation, skipping sockets that already failed this request
+function pickWorker(userKey, excludedSocketIds = []) {
+    const pool = connected_users.get(userKey);
+    if (!pool) return null;
+
+    let candidates = Array.from(pool.workers.values())
+        .filter(worker => worker.socket.connected && !excludedSocketIds.includes(worker.socket.id));
+    if (candidates.length === 0) return null;
+
+    // A worker's limit covers every key it serves; only fall back to a full worker on failover
+    const free = candidates.filter(worker => worker.active < RELAY_QUEUE.maxActivePerWorker);
+    if (free.length > 0) candidates = free;
+
+    if (WORKER_POOL.balancing === 'round-robin') {
+        pool.next_index = (pool.next_index + 1) % candidates.length;
+        return candidates[pool.next_index];
+    }
+
+    // least-busy: fewest in-flight generations, oldest connection wins ties
+    return candidates.reduce((best, worker) => worker.active < best.active ? worker : best);
+}
+
+function countWorkers(userKey) {
+    const pool = connected_users.get(userKey);
+    return pool ? pool.workers.size : 0;
+}
+
+// Admission control per worker secret: each worker runs a limited number of generations at once, and
+// every key derived from one secret shares its workers' slots and one FIFO queue. Further requests wait
+// until a slot frees up or the wait times out
+const RELAY_QUEUE = {
+    maxActivePerWorker: config.relay.maxActivePerWorker,
+    maxDepth: config.relay.queueMaxDepth,
+    waitTimeoutMs: config.relay.queueTimeoutMs,
+    heartbeatMs: 5000,
+    retryAfterSeconds: 10
+};
+
+// Generation deadlines, counted from dispatch to a worker: first chunk, gap between chunks, whole generation.
+// When one passes the worker is told to stop and the client gets a 504
+const RELAY_TIMEOUTS = {
+    firstTokenMs: config.relay.firstTokenTimeoutMs,
+    idleMs: config.relay.idleTimeoutMs,
+    totalMs: config.relay.totalTimeoutMs
+};
+
+const START_ACK_TIMEOUT_MS = 10000; // how long a worker may take to accept or reject start_generate
+const MODEL_LIST_TIMEOUT_MS = 5000;
+
+let worker_queues = new Map(); // secret hash -> { active: number, waiting: [entry] }
+let secret_workers = new Map(); // secret hash -> Set of socket ids serving its keys
+
+// The queue a key's requests wait in: the one of the secret the key was derived from. Resolve it once per
+// request, so a key rotated or revoked mid-generation still releases its slot in the right queue
+function workerQueueId(userKey) {
+    const owner = client_key_index.get(hashKey(userKey));
+    return owner ? owner.secretHash : userKey;
+}
+
+// How many generations a secret's keys may run at once, given how many workers serve them
+function queueCapacity(queueId) {
+    const sockets = secret_workers.get(queueId);
+    return Math.max(1, sockets ? sockets.size : 0) * RELAY_QUEUE.maxActivePerWorker;
+}
+
+// Ask for a generation slot. Returns { status: 'ready' | 'full' | 'queued' }; queued tickets
+// carry a promise that resolves when the slot is granted and rejects on timeout or cancel
+function enqueueGeneration(queueId, requestId) {
+    if (!worker_queues.has(queueId)) {
+        worker_queues.set(queueId, { active: 0, waiting: [] });
+    }
+    const queue = worker_queues.get(queueId);
+
+    if (queue.active < queueCapacity(queueId) && queue.waiting.length === 0) {
+        queue.active++;
+        return { status: 'ready' };
+    }
+
+    if (queue.waiting.length >= RELAY_QUEUE.maxDepth) {
+        return { status: 'full' };
+    }
+
+    const entry = { requestId };
+    const removeEntry = () => {
+        const index = queue.waiting.indexOf(entry);
+        if (index !== -1) queue.waiting.splice(index, 1);
+    };
+
+    entry.promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+        entry.timer = setTimeout(() => {
+            removeEntry();
+            const error = new Error('Timed out waiting for a free worker');
+            error.statusCode = 503;
+            reject(error);
+        }, RELAY_QUEUE.waitTimeoutMs);
+    });
+    queue.waiting.push(entry);
+
+    return {
+        status: 'queued',
+        promise: entry.promise,
+        position: () => queue.waiting.indexOf(entry) + 1,
+        cancel: () => {
+            clearTimeout(entry.timer);
+            removeEntry();
+            const error = new Error('Request cancelled while queued');
+            error.cancelled = true;
+            entry.reject(error);
+        }
+    };
+}
+
+// Free a generation slot and hand it to the next waiting request, if any
+function releaseGenerationSlot(queueId) {
+    const queue = worker_queues.get(queueId);
+    if (!queue) return;
+
+    queue.active = Math.max(0, queue.active - 1);
+    drainWorkerQueue(queueId);
+}
+
+// Grant free slots to waiting requests, e.g. after a release or when a new worker joins the pool
+function drainWorkerQueue(queueId) {
+    const queue = worker_queues.get(queueId);
+    if (!queue) return;
+
+    while (queue.active < queueCapacity(queueId) && queue.waiting.length > 0) {
+        const next = queue.waiting.shift();
+        clearTimeout(next.timer);
+        queue.active++;
+        next.resolve();
+    }
+
+    if (queue.active === 0 && queue.waiting.length === 0) {
+        worker_queues.delete(queueId);
+    }
+}
 
 // Security: Helper function for safe file reading
 async function safeReadFile(filePath, encoding = 'utf8') {
@@ -242,154 +401,129 @@ server.get("/hyper.js", async (request, reply) => {
     }
 });
 
-// Helper function to normalize message content for comparison
-function normalizeMessageContent(message) {
-    if (!message || typeof message !== 'object') return '';
+// Donated chats are scrubbed of personal data before anything touches the disk, then go to an
+// append-only store that skips exact and near duplicates across the whole corpus
+const scrubber = createScrubber({ disabled: config.donation.disabledDetectors });
+const donationStore = createDonationStore({
+    dir: config.donation.dir,
+    maxFileBytes: config.donation.maxFileBytes,
+    duplicateThreshold: config.donation.duplicateThreshold,
+    legacyPath: path.join(__dirname, 'donate.json'),
+    scrub: scrubber.scrubMessages
+});
 
-    let content = '';
-    if (message.content) {
-        content = message.content;
+server.post("/donate", async (request, reply) => {
+    if (!config.donation.enabled) {
+        reply.status(403).send({ error: true, message: 'Donations are disabled on this server', statusCode: 403 });
+        return;
     }
 
-    // Normalize: trim, convert to lowercase, collapse multiple spaces, remove special chars
-    return content
-        .trim()
-        .toLowerCase()
-        .replace(/\s+/g, ' ')
-        .replace(/[^\w\s]/g, '')
-        .slice(0, 1000); // Limit length for comparison
-}
-
-// Helper function to calculate similarity between two message arrays
-function calculateMessagesSimilarity(messages1, messages2) {
-    if (!messages1 || !messages2) return 0;
-
-    const len1 = messages1.length;
-    const len2 = messages2.length;
-
-    // If length difference is too large, likely different conversations
-    if (Math.abs(len1 - len2) > Math.max(len1, len2) * 0.3) return 0;
-
-    const compareLength = Math.min(len1, len2, 5); // Compare up to 5 messages for performance
-    let similarityScore = 0;
-
-    for (let i = 0; i < compareLength; i++) {
-        const norm1 = normalizeMessageContent(messages1[i]);
-        const norm2 = normalizeMessageContent(messages2[i]);
-
-        if (norm1 === norm2) {
-            similarityScore += 1.0;
-        } else if (norm1 && norm2) {
-            // Calculate string similarity using Levenshtein-like approach
-            const similarity = calculateStringSimilarity(norm1, norm2);
-            if (similarity > 0.85) { // High similarity threshold
-                similarityScore += similarity;
-            }
-        }
+    // get messages
+    let messages = request.body && request.body.messages;
+    if (!Array.isArray(messages) || !messages.every(message => message && typeof message === 'object' && !Array.isArray(message))) {
+        const error = new Error('Invalid messages format');
+        error.statusCode = 400;
+        throw error;
     }
 
-    return similarityScore / compareLength;
-}
-
-// Helper function to calculate string similarity
-function calculateStringSimilarity(str1, str2) {
-    if (str1 === str2) return 1.0;
-    if (!str1 || !str2) return 0;
-
-    const len1 = str1.length;
-    const len2 = str2.length;
-    const maxLen = Math.max(len1, len2);
-
-    if (maxLen === 0) return 1.0;
-
-    // Simple character-based similarity
-    const minLen = Math.min(len1, len2);
-    let matches = 0;
-
-    for (let i = 0; i < minLen; i++) {
-        if (str1[i] === str2[i]) matches++;
+    // Only store the messages (limit to reasonable size for storage), with emails, keys etc. replaced by placeholders
+    const scrubbed = scrubber.scrubMessages(messages.slice(0, config.donation.maxMessages));
+    // Consent metadata: who donated (a salted hash of their worker secret, so they can withdraw later),
+    // the consent text version they agreed to, and the engine, model and prompt preset that were in use
+    const extra = { redactions: scrubbed.counts };
+    const donorSeed = donorSeedOf(request);
+    if (request.headers['x-worker-secret'] !== undefined && !donorSeed) {
+        reply.status(401).send({ error: true, message: 'Invalid or rotated worker secret', statusCode: 401 });
+        return;
     }
-
-    // Also check for substring matches
-    const longer = len1 > len2 ? str1 : str2;
-    const shorter = len1 > len2 ? str2 : str1;
-
-    if (longer.includes(shorter) && shorter.length > 10) {
-        return Math.max(0.8, matches / maxLen);
+    if (donorSeed) extra.donor = donationStore.donorId(donorSeed);
+    for (const field of ['consent_version', 'engine', 'model', 'preset']) {
+        const value = request.body[field];
+        if (typeof value === 'string' && value.trim() && value.length <= 128) extra[field] = value.trim();
     }
 
-    return matches / maxLen;
-}
-
-server.post("/donate", async (request, reply) => {
+    let result;
     try {
-        // get messages
-        let messages = request.body.messages;
-        if (!Array.isArray(messages)) {
-            const error = new Error('Invalid messages format');
-            error.statusCode = 400;
-            throw error;
-        }
+        result = await donationStore.add(scrubbed.messages, extra);
+    } catch (error) {
+        console.error('Failed to store donation:', error.message);
+        const writeError = new Error('Failed to save data');
+        writeError.statusCode = 500;
+        throw writeError;
+    }
 
-        // load donate.json
-        const filePath = path.join(__dirname, 'donate.json');
+    reply.send(result === 'duplicate' ? "duplicate skipped" : "ok");
+});
 
-        let fileContent;
-        try {
-            fileContent = await safeReadFile(filePath, 'utf8');
-        } catch (error) {
-            // If file doesn't exist, create it with empty array
-            fileContent = '[]';
-        }
+// Withdraw consent: purge every chat donated with this worker secret (or the secrets it was rotated from)
+server.delete("/donate/mine", async (request, reply) => {
+    const donorSeed = donorSeedOf(request);
+    if (!donorSeed) {
+        reply.status(401).send({ error: true, message: 'Send your current worker secret in the X-Worker-Secret header', statusCode: 401 });
+        return;
+    }
 
-        let data;
-        try {
-            data = JSON.parse(fileContent);
-        } catch (error) {
-            console.error('Failed to parse donate.json, resetting to empty array');
-            data = [];
-        }
+    let removed;
+    try {
+        removed = await donationStore.removeDonor(donationStore.donorId(donorSeed));
+    } catch (error) {
+        console.error('Failed to delete donations:', error.message);
+        const deleteError = new Error('Failed to delete data');
+        deleteError.statusCode = 500;
+        throw deleteError;
+    }
 
-        // Enhanced deduplication logic - only check recent entries for performance
-        const similarityThreshold = 0.90; // 90% similarity threshold
-        const recentCheckLimit = 100; // Only check last 100 entries for duplicates
+    console.log(`[DONATIONS] [${new Date().toISOString()}] Donor withdrew ${removed} donated chats`);
+    reply.send({ deleted: removed });
+});
 
-        // Only check recent chats for duplicates to improve performance
-        const recentChats = data.slice(-recentCheckLimit);
-        const isDuplicate = recentChats.some(existingChat => {
-            const similarity = calculateMessagesSimilarity(messages, existingChat);
-            return similarity >= similarityThreshold;
-        });
+// The worker secret identifies a donor; same rules as the socket handshake. Null without a usable secret
+function donorSeedOf(request) {
+    const secret = request.headers['x-worker-secret'];
+    if (typeof secret !== 'string' || secret.length < 32 || secret.length > 256) return null;
+    return donorSeedFor(secret);
+}
 
-        // Skip adding if it's a duplicate
-        if (isDuplicate) {
-            reply.send("duplicate skipped");
-            return;
-        }
+// Admin routes take `Authorization: Bearer <admin.token>`, and don't exist while no token is configured
+function isAdminRequest(request) {
+    const token = getBearerKey(request);
+    if (!config.admin.token || !token) return false;
+    return crypto.timingSafeEqual(
+        crypto.createHash('sha256').update(token).digest(),
+        crypto.createHash('sha256').update(config.admin.token).digest()
+    );
+}
 
-        // Only store the messages (limit to reasonable size for storage)
-        const messagesToStore = messages.slice(0, 15); // Store up to 15 messages instead of 5
-        data.push(messagesToStore);
+// Stream the donation corpus as a training dataset, e.g.
+// /admin/donations/export/openai?from=2025-01-01&min_turns=4&language=en&split=train&validation=0.05
+server.get("/admin/donations/export/:format", async (request, reply) => {
+    if (!config.admin.token) {
+        reply.status(404).send({ error: true, message: 'Resource not found', statusCode: 404 });
+        return;
+    }
+    if (!isAdminRequest(request)) {
+        reply.status(401).send({ error: true, message: 'Invalid admin token', statusCode: 401 });
+        return;
+    }
 
-        // Keep only the most recent 1000 chats to prevent file from growing too large
-        if (data.length > 1000) {
-            data = data.slice(-1000);
-        }
+    const format = getFormat(request.params.format);
+    if (!format) {
+        reply.status(400).send({ error: true, message: `Unknown format; use one of: ${Object.keys(FORMATS).join(', ')}`, statusCode: 400 });
+        return;
+    }
+    const { options, error } = parseExportQuery(request.query || {});
+    if (error) {
+        reply.status(400).send({ error: true, message: error, statusCode: 400 });
+        return;
+    }
 
-        // save
-        try {
-            await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2));
-        } catch (error) {
-            console.error('Failed to write donate.json:', error.message);
-            const writeError = new Error('Failed to save data');
-            writeError.statusCode = 500;
-            throw writeError;
-        }
+    console.log(`[EXPORT] [${new Date().toISOString()}] ${request.params.format} export, split ${options.split}`);
+    const stream = Readable.from(exportRecords(donationStore.records(), request.params.format, options));
+    stream.on('error', (streamError) => console.error('Donation export failed:', streamError.message));
 
-        reply.send("ok");
-    } catch (error) {
-        throw error; // Will be caught by global error handler
-    }
+    reply.header('Content-Disposition', `attachment; filename="donations-${request.params.format}-${options.split}.${format.extension}"`);
+    reply.header('Cache-Control', 'no-store');
+    return reply.type(format.contentType).send(stream);
 });
 
 server.get("/puter.json", async (request, reply) => {
@@ -477,121 +611,414 @@ let total_message_len = 0; // char
 server.get("/api/stats", async (request, reply) => {
     // return stats
     reply.type('application/json').send(JSON.stringify({
-        "connected_users": connected_users.size, // number of connected users
+        "connected_users": new Set(Array.from(ioSocket.sockets.values(), socket => socket.data.secretHash)).size, // number of connected users
+        "connected_workers": ioSocket.sockets.size, // browser tabs serving those users
+        "queued_requests": Array.from(worker_queues.values()).reduce((sum, queue) => sum + queue.waiting.length, 0), // requests waiting for a free worker
         "total_handled_messages": total_messages, // number of messages handled by the server
-        "average_message_length": total_messages > 0 ? Math.round(total_message_len / total_messages) : 0
+        "average_message_length": total_messages > 0 ? Math.round(total_message_len / total_messages) : 0,
+        "donated_chats": donationStore.stats().chats
     }));
 });
 
 
-server.post("/chat/completions", async (request, reply) => {
-    // call it 301 way we be redirecting
-    reply.redirect(301, "/v1/chat/completions");
-});
+// OpenAI accepts `stop` as a string or an array of up to 4 strings; always forward an array (or nothing)
+function normalizeStopSequences(stop) {
+    const sequences = (Array.isArray(stop) ? stop : [stop])
+        .filter(seq => typeof seq === 'string' && seq.length > 0);
+    return sequences.length > 0 ? sequences.slice(0, 4) : undefined;
+}
 
-server.post("/openai/chat/completions", async (request, reply) => {
-    // call it 301 way we be redirecting
-    reply.redirect(301, "/v1/chat/completions");
-});
+// HTTP status for a worker's generation_error. Workers may set one themselves; otherwise it comes from the
+// engine API's status: the client's key is fine when the worker's own engine rejects it, so that is a 502
+function workerErrorStatus(data) {
+    if (Number.isInteger(data.statusCode) && data.statusCode >= 400 && data.statusCode <= 599) return data.statusCode;
+
+    const upstreamStatus = data.upstream && data.upstream.status;
+    if (!Number.isInteger(upstreamStatus)) return 500;
+    if (upstreamStatus === 429) return 429;
+    if ([400, 413, 422].includes(upstreamStatus)) return 400;
+    if (upstreamStatus === 408 || upstreamStatus === 504) return 504;
+    return 502;
+}
 
+// Read the API key from an `Authorization: Bearer <key>` header
+function getBearerKey(request) {
+    const authHeader = request.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.split(" ")[1].trim() || null;
+}
 
-server.post("/v1/chat/completions", async (request, reply) => {
-    /* this is an openai api endpoint */
+// Ask every worker serving a key which engine it has selected and which models that engine offers.
+// A key limited to some models only sees those
+async function listWorkerModels(userKey) {
+    const pool = connected_users.get(userKey);
+    const workers = pool ? Array.from(pool.workers.values()) : [];
+
+    const results = await Promise.allSettled(workers.map(worker =>
+        worker.socket.timeout(MODEL_LIST_TIMEOUT_MS).emitWithAck('list_models', {})
+            .then(response => ({ worker, response }))
+    ));
+
+    const answered = results.filter(result => result.status === 'fulfilled' && result.value.response);
+    if (workers.length > 0 && answered.length === 0) {
+        const error = new Error('Worker did not answer the model list request');
+        error.statusCode = 504;
+        throw error;
+    }
 
-    const requestId = Math.random().toString(36).substring(7);
-    const timestamp = new Date().toISOString();
+    // Several workers may offer the same model; list each id once
+    const allowed = allowedModelsFor(userKey);
+    const models = new Map();
+    for (const { value: { worker, response } } of answered) {
+        for (const id of Array.isArray(response.models) ? response.models : []) {
+            if (typeof id !== 'string' || models.has(id)) continue;
+            if (allowed && !allowed.includes(id)) continue;
+            models.set(id, {
+                id: id,
+                object: 'model',
+                created: Math.floor(worker.connected_at / 1000),
+                owned_by: response.engine || 'composite'
+            });
+        }
+    }
 
-    console.log(`[CHAT COMPLETIONS] Received POST request to /v1/chat/completions`);
+    return Array.from(models.values());
+}
 
-    // check api key
-    const authHeader = request.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        console.error(`[401] [${timestamp}] [${requestId}] Missing or invalid authorization header`);
-        console.error(`  → Authorization header present: ${!!authHeader}`);
-        console.error(`  → Header starts with 'Bearer ': ${authHeader ? authHeader.startsWith('Bearer ') : 'N/A'}`);
+// Validate the bearer key for read-only /v1 routes; replies and returns null when it can't be used
+function requireWorkerKey(request, reply) {
+    const userKey = getBearerKey(request);
+    if (!userKey) {
         reply.status(401).send("invalid authorization header");
-        return;
+        return null;
+    }
+    if (countWorkers(userKey) === 0) {
+        reply.status(401).send("no connected frontend for this user. are you using the right key?");
+        return null;
     }
+    return userKey;
+}
 
-    const userKey = authHeader.split(" ")[1].trim();
-    const obfuscatedKey = userKey.length > 10
-        ? userKey.substring(0, Math.max(6, userKey.length - 10)) + '*'.repeat(10)
-        : '*'.repeat(userKey.length);
+server.get("/v1/models", async (request, reply) => {
+    const userKey = requireWorkerKey(request, reply);
+    if (!userKey) return;
 
-    // get messages
-    let messages = request.body.messages;
-    if (!Array.isArray(messages)) {
-        console.error(`[400] [${timestamp}] [${requestId}] Invalid messages format for key ${obfuscatedKey}`);
-        console.error(`  → Messages type: ${typeof messages}`);
-        reply.status(400).send("invalid messages format");
+    const models = await listWorkerModels(userKey);
+    reply.send({ object: 'list', data: models });
+});
+
+// Model ids may contain slashes (e.g. "deepseek-ai/DeepSeek-V3.1"), so match the rest of the path
+server.get("/v1/models/*", async (request, reply) => {
+    const userKey = requireWorkerKey(request, reply);
+    if (!userKey) return;
+
+    const modelId = decodeURIComponent(request.params['*']);
+    const models = await listWorkerModels(userKey);
+    const model = models.find(m => m.id === modelId);
+
+    if (!model) {
+        reply.status(404).send({
+            error: true,
+            message: `The model '${modelId}' is not offered by this worker`,
+            statusCode: 404
+        });
         return;
     }
 
-    const userInfo = connected_users.get(userKey);
-    let userSocket = userInfo ? userInfo.socket : null;
+    reply.send(model);
+});
 
-    if (!userSocket) {
-        console.error(`[401] [${timestamp}] [${requestId}] No connected frontend for key ${obfuscatedKey}`);
-        console.error(`  → Total connected users: ${connected_users.size}`);
+server.post("/chat/completions", async (request, reply) => {
+    // call it 301 way we be redirecting
+    reply.redirect(301, "/v1/chat/completions");
+});
 
-        // Show all registered keys
-        if (connected_users.size > 0) {
-            const allRegisteredKeys = Array.from(connected_users.keys())
-                .map(k => k.length > 10 ? k.substring(0, Math.max(6, k.length - 10)) + '*'.repeat(10) : '*'.repeat(k.length));
-            console.error(`  → All registered keys: ${allRegisteredKeys.join(', ')}`);
-        } else {
-            console.error(`  → No users currently connected via WebSocket`);
-        }
+server.post("/openai/chat/completions", async (request, reply) => {
+    // call it 301 way we be redirecting
+    reply.redirect(301, "/v1/chat/completions");
+});
 
-        reply.status(401).send("no connected frontend for this user. are you using the right key?");
-        return;
-    }
 
-    console.log(`[200] [${timestamp}] [${requestId}] Request accepted for key ${obfuscatedKey}`);
+// Name a key in logs by a fingerprint of its hash, like workers are, so no part of the key itself is logged
+function obfuscateKey(userKey) {
+    return hashKey(userKey).substring(0, 8);
+}
 
-    total_messages += 1;
+// OpenAI chat.completion / chat.completion.chunk responses for /v1/chat/completions
+function openAIChatFormat(requestId, includeUsage) {
+    // One id and creation time (in seconds) for the whole completion
+    const completionId = `chatcmpl-${requestId}`;
+    const created = Math.floor(Date.now() / 1000);
+    let roleSent = false;
+
+    const chunk = (state, delta, finishReason = null) => `data: ${JSON.stringify({
+        id: completionId,
+        object: 'chat.completion.chunk',
+        created: created,
+        model: state.model,
+        choices: [{
+            index: 0,
+            delta: delta,
+            finish_reason: finishReason
+        }]
+    })}\n\n`;
+
+    // The first chunk is always preceded by the assistant role delta
+    const withRole = (state, data) => {
+        if (roleSent) return data;
+        roleSent = true;
+        return chunk(state, { role: 'assistant', content: '' }) + data;
+    };
 
-    // Extract generation settings from request body
-    const generationSettings = {
-        temperature: request.body.temperature !== undefined ? request.body.temperature : 0.7,
-        max_tokens: request.body.max_tokens !== undefined ? request.body.max_tokens : 26000,
-        top_p: request.body.top_p !== undefined ? request.body.top_p : 1,
-        frequency_penalty: request.body.frequency_penalty !== undefined ? request.body.frequency_penalty : 0,
-        presence_penalty: request.body.presence_penalty !== undefined ? request.body.presence_penalty : 0,
-        repetition_penalty: request.body.repetition_penalty !== undefined ? request.body.repetition_penalty : 1
+    return {
+        contentType: 'text/event-stream',
+        heartbeat: (position) => `: queued position=${position}\n\n`,
+        content: (text, state) => withRole(state, chunk(state, { content: text })),
+        toolCalls: (toolCalls, state) => withRole(state, chunk(state, { tool_calls: toolCalls })),
+
+        // Terminal chunk with the finish reason, then optional usage, then [DONE]
+        finish: (state) => {
+            let data = withRole(state, chunk(state, {}, state.finishReason));
+            if (includeUsage) {
+                data += `data: ${JSON.stringify({
+                    id: completionId,
+                    object: 'chat.completion.chunk',
+                    created: created,
+                    model: state.model,
+                    choices: [],
+                    usage: state.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+                })}\n\n`;
+            }
+            return data + 'data: [DONE]\n\n';
+        },
+
+        complete: (result, state) => {
+            const message = {
+                role: 'assistant',
+                content: result.content || (result.toolCalls.length > 0 ? null : '')
+            };
+            if (result.toolCalls.length > 0) message.tool_calls = result.toolCalls;
+
+            return {
+                id: completionId,
+                object: 'chat.completion',
+                created: created,
+                model: state.model,
+                choices: [
+                    {
+                        index: 0,
+                        message: message,
+                        logprobs: null,
+                        finish_reason: state.finishReason
+                    }
+                ],
+                usage: state.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+            };
+        },
+
+        streamError: (statusCode, message, type, upstream) =>
+            `data: ${JSON.stringify({ error: { message: message, type: type, code: statusCode, upstream: upstream } })}\n\ndata: [DONE]\n\n`,
+        errorBody: (statusCode, message, type, upstream) => ({ error: true, message: message, statusCode: statusCode, upstream: upstream })
     };
+}
 
-    // Support non-stream responses: client can request `stream: false` or `non_stream: true`
-    const wantsNonStream = (request.body && (request.body.stream === false || request.body.non_stream === true));
+// Run one generation on a worker serving the key and answer the HTTP request in the given API format.
+// Shared by every generation endpoint; `relay` carries the validated request:
+//   { requestId, timestamp, userKey, messages, rawPrompt, settings, model, tools, toolChoice, responseFormat, stream, format }
+async function relayGeneration(request, reply, relay) {
+    const { requestId, timestamp, userKey, messages, format } = relay;
+    const obfuscatedKey = obfuscateKey(userKey);
+    const wantsNonStream = !relay.stream;
+
+    total_messages += 1;
+
+    // Limits the worker set on this key; a key limited to some models runs its first one for "auto"
+    const admitted = checkKeyRequest(userKey, relay.model);
+    if (admitted.denied) {
+        const { denied } = admitted;
+        console.error(`[${denied.statusCode}] [${timestamp}] [${requestId}] ${denied.message} (key ${obfuscatedKey})`);
+        if (denied.retryAfter) reply.header('Retry-After', String(denied.retryAfter));
+        reply.status(denied.statusCode).send(format.errorBody(denied.statusCode, denied.message, denied.type));
+        return;
+    }
+    relay.model = admitted.model;
+
+    // Admission control: wait for a free generation slot on the workers behind this key
+    const queueId = workerQueueId(userKey);
+    const ticket = enqueueGeneration(queueId, requestId);
+    if (ticket.status === 'full') {
+        console.error(`[429] [${timestamp}] [${requestId}] Queue full for key ${obfuscatedKey} (${RELAY_QUEUE.maxDepth} waiting)`);
+        reply.header('Retry-After', String(RELAY_QUEUE.retryAfterSeconds));
+        reply.status(429).send(format.errorBody(429, 'Too many queued requests for this worker. Please try again later.', 'rate_limit_error'));
+        return;
+    }
+    // Only requests the queue took count against the key's rate limit
+    chargeKeyRequest(userKey);
 
     if (!wantsNonStream) {
+        // Writing to the raw response skips Fastify's headers, so carry over what the hooks set (CORS)
         reply.raw.writeHead(200, {
-            'Content-Type': 'text/event-stream',
+            ...reply.getHeaders(),
+            'Content-Type': format.contentType,
             'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Cache-Control'
+            'Connection': 'keep-alive'
         });
     }
 
-    userSocket.emit('start_generate', {
-        messages: JSON.stringify(messages),
-        settings: generationSettings
-    });
+    // Finish a request that didn't produce a result: HTTP status for non-stream, the format's error event for streams
+    // `upstream` ({ status, code, body }) describes the engine API error behind a worker failure, if any
+    const sendRelayError = (statusCode, message, type, upstream) => {
+        try {
+            if (wantsNonStream) {
+                if (statusCode === 429 || statusCode === 503) {
+                    reply.header('Retry-After', String(RELAY_QUEUE.retryAfterSeconds));
+                }
+                reply.status(statusCode).send(format.errorBody(statusCode, message, type, upstream));
+            } else {
+                reply.raw.write(format.streamError(statusCode, message, type, upstream));
+                reply.raw.end();
+            }
+        } catch (error) {
+            console.log(`Client already disconnected for user ${obfuscatedKey}`);
+        }
+    };
+
+    if (ticket.status === 'queued') {
+        console.log(`[QUEUED] [${timestamp}] [${requestId}] Worker busy for key ${obfuscatedKey}, queue position ${ticket.position()}`);
+
+        // Stream heartbeats keep the connection alive and tell the client where it stands
+        const writeQueuedHeartbeat = () => {
+            if (!wantsNonStream) reply.raw.write(format.heartbeat(ticket.position()));
+        };
+        writeQueuedHeartbeat();
+        const heartbeat = setInterval(writeQueuedHeartbeat, RELAY_QUEUE.heartbeatMs);
+        let closedWhileQueued = false;
+        const onQueuedClose = () => {
+            closedWhileQueued = true;
+            ticket.cancel();
+        };
+        reply.raw.on('close', onQueuedClose);
+
+        try {
+            await ticket.promise;
+        } catch (error) {
+            if (!error.cancelled) {
+                console.error(`[${error.statusCode}] [${timestamp}] [${requestId}] ${error.message} for key ${obfuscatedKey}`);
+                sendRelayError(error.statusCode, error.message, 'queue_timeout');
+            }
+            return;
+        } finally {
+            clearInterval(heartbeat);
+            reply.raw.off('close', onQueuedClose);
+        }
+
+        // Slot granted just as the client went away
+        if (closedWhileQueued) {
+            releaseGenerationSlot(queueId);
+            return;
+        }
+
+        // Every worker may have left the pool while we waited
+        if (countWorkers(userKey) === 0) {
+            releaseGenerationSlot(queueId);
+            sendRelayError(503, 'Worker disconnected while the request was queued', 'worker_unavailable');
+            return;
+        }
+    }
+
+    // What the format needs to describe the response; the worker fills in the real model and usage
+    const state = {
+        model: relay.model || 'composite',
+        finishReason: 'stop',
+        stopSequence: null, // the stop sequence that ended the output, when the worker knows it
+        usage: null
+    };
+
+    // Write to a streaming client; the format turns worker output into its own events
+    const writeStream = (data) => {
+        if (data) reply.raw.write(data);
+    };
+
+    let slotReleased = false;
+    let worker = null;
+    let userSocket = null;
+    const triedSocketIds = [];
 
     let generationActive = true;
     let errorCount = 0;
     const MAX_ERRORS = 3;
-    let doneTimeout = null;
-    let lastMessageTime = Date.now();
-
-    // Aggregation buffer for non-stream responses
+    let doneReceived = false;
+    let unsequencedChunks = 0; // message / tool_calls events without seq (older workers), relayed as they came
+    let nextSeq = 1; // seq of the next chunk to relay; every chunk before it went out
+    const heldChunks = new Map(); // seq -> relay function of a chunk that arrived after a gap
+    let expectedChunks = null; // chunk_count from the worker's done
+    let streamedContent = false;
+
+    // Aggregation buffers for non-stream responses
     let aggregatedContent = "";
+    let aggregatedToolCalls = [];
+
+    let firstTokenTimer = null;
+    let idleTimer = null;
+    let totalTimer = null;
+
+    // A deadline passed: stop the worker and end the request with a 504
+    const onTimeout = (message) => {
+        if (!generationActive) return;
+        console.error(`[504] [${requestId}] ${message} for key ${obfuscatedKey}`);
+        if (userSocket) userSocket.emit('stop_generation', { requestId });
+        sendRelayError(504, message, 'timeout');
+        cleanup();
+    };
+
+    const clearGenerationTimers = () => {
+        clearTimeout(firstTokenTimer);
+        clearTimeout(idleTimer);
+        clearTimeout(totalTimer);
+    };
+
+    // Every chunk from the worker restarts the idle timer; the first one also ends the first-token wait
+    const markActivity = () => {
+        clearTimeout(firstTokenTimer);
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => onTimeout(`No output from the worker for ${RELAY_TIMEOUTS.idleMs / 1000}s`), RELAY_TIMEOUTS.idleMs);
+    };
+
+    const relayedChunks = () => unsequencedChunks + nextSeq - 1;
+
+    // Relay chunks in the worker's order. `seq` numbers them from 1: a repeated seq (or one past the count
+    // in done) is dropped, and a chunk after a gap is held until the missing one arrives
+    const acceptChunk = (data, relay) => {
+        if (!Number.isInteger(data.seq)) {
+            unsequencedChunks++;
+            relay();
+            finishIfComplete();
+            return;
+        }
+        if (data.seq < nextSeq || heldChunks.has(data.seq) || (expectedChunks !== null && data.seq > expectedChunks)) {
+            console.warn(`[${requestId}] Dropped duplicate or unexpected chunk ${data.seq}`);
+            return;
+        }
+
+        heldChunks.set(data.seq, relay);
+        while (heldChunks.has(nextSeq)) {
+            const next = heldChunks.get(nextSeq);
+            heldChunks.delete(nextSeq);
+            nextSeq++;
+            next();
+        }
+        finishIfComplete();
+    };
 
+    const onMessage = (data) => {
+        // Every worker event carries the requestId it belongs to; ignore chunks for other requests
+        if (!data || data.requestId !== requestId) return;
+        acceptChunk(data, () => relayContent(data.content));
+    };
 
-    const onMessage = (chunk) => {
+    const relayContent = (chunk) => {
         if (generationActive && chunk !== null && chunk !== undefined) {
-            lastMessageTime = Date.now(); // Track when we last received a message
+            markActivity(); // Track when we last received a message
             let content = typeof chunk === 'string' ? chunk : chunk.toString();
             try {
                 // Validate content before serialization
@@ -608,6 +1035,8 @@ server.post("/v1/chat/completions", async (request, reply) => {
                     return;
                 }
 
+                streamedContent = true;
+
                 // Handle large content by splitting into smaller chunks for SSE
                 if (content.length > 8000) {
                     console.warn(`Content large (${content.length} chars), splitting into chunks`);
@@ -616,14 +1045,7 @@ server.post("/v1/chat/completions", async (request, reply) => {
                         if (!generationActive) break;
                         const smallChunk = content.slice(i, i + chunkSize);
                         try {
-                            const payload = JSON.stringify({
-                                choices: [{
-                                    delta: {
-                                        content: smallChunk
-                                    }
-                                }]
-                            });
-                            reply.raw.write(`data: ${payload}\n\n`);
+                            writeStream(format.content(smallChunk, state));
                         } catch (chunkError) {
                             console.warn('Chunk serialization failed, skipping chunk');
                         }
@@ -631,118 +1053,239 @@ server.post("/v1/chat/completions", async (request, reply) => {
                     return;
                 }
 
-                // Use JSON.stringify to properly escape the content
-                const payload = JSON.stringify({
-                    choices: [{
-                        delta: {
-                            content: content
-                        }
-                    }]
-                });
-
-                // Validate the generated JSON
-                if (!payload || payload === 'null') {
-                    console.error('Failed to generate valid JSON payload');
-                    return;
-                }
-
-                // Write SSE data for streaming clients
-                reply.raw.write(`data: ${payload}\n\n`);
+                // Write stream data for streaming clients (formats use JSON.stringify to escape the content)
+                writeStream(format.content(content, state));
                 errorCount = 0; // Reset error count on successful write
             } catch (error) {
                 errorCount++;
-                console.error(`JSON serialization error ${errorCount}/${MAX_ERRORS} for user ${userKey.substring(0, userKey.length - 10)}**********:`, error.message);
+                console.error(`JSON serialization error ${errorCount}/${MAX_ERRORS} for user ${obfuscatedKey}:`, error.message);
 
-                // Only stop after multiple consecutive errors
+                // Skip the chunk; only give up after multiple consecutive errors
                 if (errorCount >= MAX_ERRORS) {
-                    console.log(`Too many errors (${errorCount}), stopping generation for user ${userKey.substring(0, userKey.length - 10)}**********`);
-                    generationActive = false;
-                    userSocket.emit('stop_generation');
+                    console.log(`Too many errors (${errorCount}), stopping generation for user ${obfuscatedKey}`);
+                    userSocket.emit('stop_generation', { requestId });
+                    sendRelayError(500, 'Failed to relay the generated output', 'server_error');
                     cleanup();
                     return;
                 }
-
-                // Try sending a simple error response instead of stopping immediately
-                try {
-                    const errorPayload = JSON.stringify({
-                        choices: [{
-                            delta: {
-                                content: "[Error processing response - retrying]"
-                            }
-                        }]
-                    });
-                    // Only write SSE fallback if streaming
-                    if (!wantsNonStream) reply.raw.write(`data: ${errorPayload}\n\n`);
-                } catch (fallbackError) {
-                    console.warn(`Fallback error response failed (attempt ${errorCount}/${MAX_ERRORS})`);
-                }
             }
             if (typeof content === 'string') total_message_len += content.length;
         }
     };
 
-    const onDone = () => {
-        if (generationActive) {
-            // Clear any existing timeout
-            if (doneTimeout) {
-                clearTimeout(doneTimeout);
+    // Tool call deltas in OpenAI format; non-stream requests merge them by index
+    const onToolCalls = (data) => {
+        if (!data || data.requestId !== requestId) return;
+        acceptChunk(data, () => {
+            if (generationActive && Array.isArray(data.tool_calls)) {
+                markActivity();
+                relayToolCalls(data.tool_calls);
             }
-
-            const checkAndClose = () => {
-                const timeSinceLastMessage = Date.now() - lastMessageTime;
-                if (timeSinceLastMessage >= 2000) {
-                    // No messages for 2 seconds, safe to close
-                    if (generationActive) {
-                        try {
-                            if (wantsNonStream) {
-                                // Send aggregated JSON response as a single non-stream reply
-                                try {
-                                    const result = {
-                                        id: requestId,
-                                        object: 'chat.completion',
-                                        created: Date.now(),
-                                        choices: [
-                                            {
-                                                message: {
-                                                    role: 'assistant',
-                                                    content: aggregatedContent
-                                                }
-                                            }
-                                        ]
-                                    };
-                                    reply.type('application/json').send(result);
-                                } catch (sendError) {
-                                    console.error('Failed to send non-stream response:', sendError.message);
-                                }
-                            } else {
-                                reply.raw.write('data: [DONE]\n\n');
-                                reply.raw.end();
-                            }
-                        } catch (error) {
-                            console.log(`Client already disconnected for user ${userKey.substring(0, userKey.length - 10)}**********`);
-                        }
-                    }
-                    cleanup();
-                } else {
-                    // Still receiving messages, check again later
-                    doneTimeout = setTimeout(checkAndClose, 4000 - timeSinceLastMessage);
-                }
-            };
-
-            doneTimeout = setTimeout(checkAndClose, 4000);
-        } else {
-            cleanup();
-        }
+        });
     };
 
-    const cleanup = () => {
-        generationActive = false;
+    const relayToolCalls = (toolCalls) => {
+        if (!wantsNonStream) {
+            streamedContent = true;
+            try {
+                if (format.toolCalls) writeStream(format.toolCalls(toolCalls, state));
+            } catch (error) {
+                console.log(`Client already disconnected for user ${obfuscatedKey}`);
+            }
+            return;
+        }
+
+        for (const delta of toolCalls) {
+            const index = typeof delta.index === 'number' ? delta.index : aggregatedToolCalls.length;
+            if (!aggregatedToolCalls[index]) {
+                aggregatedToolCalls[index] = { id: delta.id, type: 'function', function: { name: '', arguments: '' } };
+            }
+            const call = aggregatedToolCalls[index];
+            if (delta.id) call.id = delta.id;
+            if (delta.function && delta.function.name) call.function.name = delta.function.name;
+            if (delta.function && delta.function.arguments) call.function.arguments += delta.function.arguments;
+        }
+    };
+
+    // The worker gave up on the request: its engine API failed, it isn't set up, or its output never passed JSON validation
+    const onGenerationError = (data) => {
+        if (!data || data.requestId !== requestId) return;
+        if (!generationActive) return;
+
+        doneReceived = true;
+        const statusCode = workerErrorStatus(data);
+        const upstream = data.upstream && typeof data.upstream === 'object' ? data.upstream : undefined;
+        console.error(`[${statusCode}] [${requestId}] Worker reported an error for key ${obfuscatedKey}: ${data.message}${upstream ? ` (upstream ${upstream.status})` : ''}`);
+        sendRelayError(statusCode, data.message || 'Generation failed', data.type || 'generation_error', upstream);
+        cleanup();
+    };
+
+    // The worker names the model it picked before sending any content
+    const onMeta = (data) => {
+        if (!data || data.requestId !== requestId) return;
+        if (typeof data.model === 'string' && data.model) state.model = data.model;
+    };
+
+    // Send the finished response: the aggregated result for non-stream requests, the closing events for streams
+    const finishResponse = () => {
+        if (generationActive) {
+            try {
+                if (wantsNonStream) {
+                    try {
+                        const result = {
+                            content: aggregatedContent,
+                            toolCalls: aggregatedToolCalls.filter(Boolean)
+                        };
+                        reply.type('application/json').send(format.complete(result, state));
+                    } catch (sendError) {
+                        console.error('Failed to send non-stream response:', sendError.message);
+                    }
+                } else {
+                    writeStream(format.finish(state));
+                    reply.raw.end();
+                }
+            } catch (error) {
+                console.log(`Client already disconnected for user ${obfuscatedKey}`);
+            }
+            recordKeyUsage(userKey, state.usage && state.usage.total_tokens);
+        }
+        cleanup();
+    };
+
+    // Close as soon as every chunk the worker counted in `done` (seq 1 to chunk_count) has been relayed
+    const finishIfComplete = () => {
+        if (!generationActive || expectedChunks === null || relayedChunks() < expectedChunks) return;
+        clearTimeout(idleTimer);
+        finishResponse();
+    };
+
+    const onDone = (data) => {
+        if (!data || data.requestId !== requestId) return;
+
+        doneReceived = true;
+        if (data.finish_reason) state.finishReason = data.finish_reason;
+        if (typeof data.stop_sequence === 'string' && data.stop_sequence) state.stopSequence = data.stop_sequence;
+        if (data.model) state.model = data.model;
+        if (data.usage) state.usage = data.usage;
+
+        // Workers that don't count their chunks sent them all before done (Socket.IO keeps order)
+        expectedChunks = Number.isInteger(data.chunk_count) ? data.chunk_count : relayedChunks();
+        clearTimeout(firstTokenTimer);
+        for (const seq of heldChunks.keys()) {
+            if (seq > expectedChunks) heldChunks.delete(seq);
+        }
+
+        if (relayedChunks() < expectedChunks) {
+            // Only happens if chunks went missing; the idle timeout ends the wait if they never come
+            const missing = [];
+            for (let seq = nextSeq; seq <= expectedChunks && missing.length < 10; seq++) {
+                if (!heldChunks.has(seq)) missing.push(seq);
+            }
+            console.warn(`[${requestId}] done says ${expectedChunks} chunks, missing ${missing.join(', ')}${missing.length === 10 ? ', ...' : ''}; waiting for them`);
+            return;
+        }
+        finishIfComplete();
+    };
+
+    const cleanup = () => {
+        generationActive = false;
+        clearGenerationTimers();
+        if (!slotReleased) {
+            slotReleased = true;
+            releaseGenerationSlot(queueId);
+        }
         if (disconnectTimeout) {
             clearTimeout(disconnectTimeout);
             disconnectTimeout = null;
         }
+        detachWorker();
+    };
+
+    // Hand the request to a worker from the pool and listen for its events
+    const dispatchToWorker = () => {
+        worker = pickWorker(userKey, triedSocketIds);
+        if (!worker) return false;
+
+        userSocket = worker.socket;
+        worker.active++;
+        triedSocketIds.push(userSocket.id);
+
+        // A worker taken over after a failover gets a fresh first-token wait
+        clearTimeout(firstTokenTimer);
+        clearTimeout(idleTimer);
+        firstTokenTimer = setTimeout(() => onTimeout(`No output from the worker within ${RELAY_TIMEOUTS.firstTokenMs / 1000}s`), RELAY_TIMEOUTS.firstTokenMs);
+        if (!totalTimer) {
+            totalTimer = setTimeout(() => onTimeout(`Generation did not finish within ${RELAY_TIMEOUTS.totalMs / 1000}s`), RELAY_TIMEOUTS.totalMs);
+        }
+
+        userSocket.on('generation_meta', onMeta);
+        userSocket.on('message', onMessage);
+        userSocket.on('tool_calls', onToolCalls);
+        userSocket.on('generation_error', onGenerationError);
+        userSocket.on('done', onDone);
+        userSocket.on('disconnect', onWorkerDisconnect);
+
+        // The worker acks once it has checked the request (e.g. that its engine offers the model)
+        const dispatchedSocket = userSocket;
+        dispatchedSocket.timeout(START_ACK_TIMEOUT_MS).emit('start_generate', {
+            requestId: requestId,
+            model: relay.model,
+            messages: JSON.stringify(messages),
+            settings: relay.settings,
+            tools: relay.tools,
+            tool_choice: relay.toolChoice,
+            response_format: relay.responseFormat,
+            prompt: relay.rawPrompt
+        }, (err, ack) => {
+            // No ack in time: the worker is busy or predates acks, its chunks still count
+            if (err || !ack || ack.accepted !== false) return;
+            if (!generationActive || userSocket !== dispatchedSocket) return;
+
+            console.error(`[${ack.statusCode || 400}] [${requestId}] Worker ${dispatchedSocket.id} rejected request for key ${obfuscatedKey}: ${ack.message}`);
+            detachWorker();
+            if (dispatchToWorker()) return; // another worker in the pool may run a different engine
+
+            sendRelayError(ack.statusCode || 400, ack.message || 'Request rejected by worker', 'invalid_request_error');
+            cleanup();
+        });
+        return true;
+    };
+
+    const detachWorker = () => {
+        if (!worker) return;
+        worker.active = Math.max(0, worker.active - 1);
+        userSocket.off('generation_meta', onMeta);
         userSocket.off('message', onMessage);
+        userSocket.off('tool_calls', onToolCalls);
+        userSocket.off('generation_error', onGenerationError);
         userSocket.off('done', onDone);
+        userSocket.off('disconnect', onWorkerDisconnect);
+        worker = null;
+    };
+
+    // Fail over to another worker in the pool. Non-stream output is restarted from scratch;
+    // a stream can only move before any content reached the client, otherwise it ends with an error
+    const onWorkerDisconnect = (reason) => {
+        if (!generationActive || doneReceived) return;
+
+        const lostSocketId = userSocket.id;
+        detachWorker();
+
+        if (!streamedContent) {
+            aggregatedContent = "";
+            aggregatedToolCalls = [];
+            unsequencedChunks = 0;
+            nextSeq = 1;
+            heldChunks.clear();
+            if (dispatchToWorker()) {
+                console.log(`[FAILOVER] [${requestId}] Worker ${lostSocketId} left (${reason}), moved request to worker ${userSocket.id} for key ${obfuscatedKey}`);
+                return;
+            }
+        }
+
+        console.error(`[503] [${requestId}] Worker ${lostSocketId} left mid-generation (${reason}) and no other worker could take over for key ${obfuscatedKey}`);
+        sendRelayError(503, 'Worker disconnected during generation', 'worker_unavailable');
+        cleanup();
     };
 
     // Add debounced disconnect detection to avoid false positives
@@ -757,9 +1300,9 @@ server.post("/v1/chat/completions", async (request, reply) => {
 
         disconnectTimeout = setTimeout(() => {
             if (generationActive) {
-                console.log(`Client confirmed disconnected during generation for user ${userKey.substring(0, userKey.length - 10)}********** (${reason})`);
+                console.log(`Client confirmed disconnected during generation for user ${obfuscatedKey} (${reason})`);
                 generationActive = false;
-                userSocket.emit('stop_generation');
+                userSocket.emit('stop_generation', { requestId });
                 cleanup();
             }
         }, 2000); // 2 second delay to avoid false positives from temporary disconnects
@@ -772,7 +1315,7 @@ server.post("/v1/chat/completions", async (request, reply) => {
 
     reply.raw.on('error', (error) => {
         connectionErrors++;
-        console.warn(`SSE connection error ${connectionErrors}/${MAX_CONNECTION_ERRORS} for user ${userKey.substring(0, userKey.length - 10)}**********:`, error.message);
+        console.warn(`SSE connection error ${connectionErrors}/${MAX_CONNECTION_ERRORS} for user ${obfuscatedKey}:`, error.message);
 
         // Only stop after multiple connection errors
         if (connectionErrors >= MAX_CONNECTION_ERRORS) {
@@ -782,53 +1325,1152 @@ server.post("/v1/chat/completions", async (request, reply) => {
         }
     });
 
-    userSocket.on('message', onMessage);
-    userSocket.on('done', onDone);
+    if (!dispatchToWorker()) {
+        console.error(`[503] [${timestamp}] [${requestId}] No worker available for key ${obfuscatedKey}`);
+        sendRelayError(503, 'No worker available for this key', 'worker_unavailable');
+        cleanup();
+    }
+
+    // The response is sent later from the socket listeners; returning the reply tells fastify to wait for it
+    return reply;
+}
+
+server.post("/v1/chat/completions", async (request, reply) => {
+    /* this is an openai api endpoint */
+
+    const requestId = Math.random().toString(36).substring(7);
+    const timestamp = new Date().toISOString();
+
+    console.log(`[CHAT COMPLETIONS] Received POST request to /v1/chat/completions`);
+
+    // check api key
+    const authHeader = request.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        console.error(`[401] [${timestamp}] [${requestId}] Missing or invalid authorization header`);
+        console.error(`  → Authorization header present: ${!!authHeader}`);
+        console.error(`  → Header starts with 'Bearer ': ${authHeader ? authHeader.startsWith('Bearer ') : 'N/A'}`);
+        reply.status(401).send("invalid authorization header");
+        return;
+    }
+
+    const userKey = authHeader.split(" ")[1].trim();
+    const obfuscatedKey = obfuscateKey(userKey);
 
+    // get messages
+    let messages = request.body.messages;
+    if (!Array.isArray(messages)) {
+        console.error(`[400] [${timestamp}] [${requestId}] Invalid messages format for key ${obfuscatedKey}`);
+        console.error(`  → Messages type: ${typeof messages}`);
+        reply.status(400).send("invalid messages format");
+        return;
+    }
+
+    // Tool definitions are forwarded to the worker as-is; it passes them upstream or emulates them
+    const tools = request.body.tools;
+    if (tools !== undefined && !Array.isArray(tools)) {
+        console.error(`[400] [${timestamp}] [${requestId}] Invalid tools format for key ${obfuscatedKey}`);
+        reply.status(400).send("invalid tools format");
+        return;
+    }
+
+    // Structured output: engines with a JSON mode use it natively, the rest validate and retry
+    const responseFormat = request.body.response_format;
+    if (responseFormat !== undefined && (!responseFormat || !['text', 'json_object', 'json_schema'].includes(responseFormat.type)
+        || (responseFormat.type === 'json_schema' && (!responseFormat.json_schema || typeof responseFormat.json_schema !== 'object')))) {
+        console.error(`[400] [${timestamp}] [${requestId}] Invalid response_format for key ${obfuscatedKey}`);
+        reply.status(400).send("invalid response_format");
+        return;
+    }
+
+    if (countWorkers(userKey) === 0) {
+        console.error(`[401] [${timestamp}] [${requestId}] No connected frontend for key ${obfuscatedKey}`);
+        console.error(`  → Total connected users: ${connected_users.size}`);
+
+        reply.status(401).send("no connected frontend for this user. are you using the right key?");
+        return;
+    }
+
+    console.log(`[200] [${timestamp}] [${requestId}] Request accepted for key ${obfuscatedKey}`);
+
+    // Extract generation settings from request body
+    const generationSettings = {
+        temperature: request.body.temperature !== undefined ? request.body.temperature : 0.7,
+        max_tokens: request.body.max_tokens !== undefined ? request.body.max_tokens : 26000,
+        top_p: request.body.top_p !== undefined ? request.body.top_p : 1,
+        frequency_penalty: request.body.frequency_penalty !== undefined ? request.body.frequency_penalty : 0,
+        presence_penalty: request.body.presence_penalty !== undefined ? request.body.presence_penalty : 0,
+        repetition_penalty: request.body.repetition_penalty !== undefined ? request.body.repetition_penalty : 1,
+        stop: normalizeStopSequences(request.body.stop)
+    };
+
+    // Support non-stream responses: client can request `stream: false` or `non_stream: true`
+    const wantsNonStream = (request.body && (request.body.stream === false || request.body.non_stream === true));
+
+    return relayGeneration(request, reply, {
+        requestId: requestId,
+        timestamp: timestamp,
+        userKey: userKey,
+        messages: messages,
+        settings: generationSettings,
+        // Requested model; the worker checks it against its engine ("auto" keeps the dropdown choice)
+        model: typeof request.body.model === 'string' ? request.body.model : null,
+        tools: tools,
+        toolChoice: request.body.tool_choice,
+        responseFormat: responseFormat,
+        stream: !wantsNonStream,
+        format: openAIChatFormat(requestId, !!(request.body.stream_options && request.body.stream_options.include_usage))
+    });
 });
 
+// OpenAI text_completion responses for the legacy /v1/completions endpoint.
+// With `echo`, the prompt is sent back in front of the generated text
+function openAICompletionFormat(requestId, includeUsage, echoText) {
+    const completionId = `cmpl-${requestId}`;
+    const created = Math.floor(Date.now() / 1000);
+    let echoed = !echoText;
+
+    const chunk = (state, text, finishReason = null) => `data: ${JSON.stringify({
+        id: completionId,
+        object: 'text_completion',
+        created: created,
+        model: state.model,
+        choices: [{
+            text: text,
+            index: 0,
+            logprobs: null,
+            finish_reason: finishReason
+        }]
+    })}\n\n`;
+
+    const withEcho = (state, data) => {
+        if (echoed) return data;
+        echoed = true;
+        return chunk(state, echoText) + data;
+    };
+
+    return {
+        contentType: 'text/event-stream',
+        heartbeat: (position) => `: queued position=${position}\n\n`,
+        content: (text, state) => withEcho(state, chunk(state, text)),
+
+        finish: (state) => {
+            let data = withEcho(state, chunk(state, '', state.finishReason));
+            if (includeUsage) {
+                data += `data: ${JSON.stringify({
+                    id: completionId,
+                    object: 'text_completion',
+                    created: created,
+                    model: state.model,
+                    choices: [],
+                    usage: state.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+                })}\n\n`;
+            }
+            return data + 'data: [DONE]\n\n';
+        },
+
+        complete: (result, state) => ({
+            id: completionId,
+            object: 'text_completion',
+            created: created,
+            model: state.model,
+            choices: [
+                {
+                    text: (echoText || '') + result.content,
+                    index: 0,
+                    logprobs: null,
+                    finish_reason: state.finishReason
+                }
+            ],
+            usage: state.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        }),
+
+        streamError: (statusCode, message, type, upstream) =>
+            `data: ${JSON.stringify({ error: { message: message, type: type, code: statusCode, upstream: upstream } })}\n\ndata: [DONE]\n\n`,
+        errorBody: (statusCode, message, type, upstream) => ({ error: true, message: message, statusCode: statusCode, upstream: upstream })
+    };
+}
+
+// Chat-only engines get the prompt as a user message; a suffix turns it into a fill-in-the-middle request
+function completionPromptMessage(prompt, suffix) {
+    if (!suffix) return { role: 'user', content: prompt };
+    return {
+        role: 'user',
+        content: `Write the text that belongs between the prefix and the suffix below. Reply with only the missing text.\n\nPrefix:\n${prompt}\n\nSuffix:\n${suffix}`
+    };
+}
+
+server.post("/v1/completions", async (request, reply) => {
+    /* this is a legacy openai api endpoint */
+
+    const requestId = Math.random().toString(36).substring(7);
+    const timestamp = new Date().toISOString();
+
+    console.log(`[COMPLETIONS] Received POST request to /v1/completions`);
+
+    const userKey = getBearerKey(request);
+    if (!userKey) {
+        console.error(`[401] [${timestamp}] [${requestId}] Missing or invalid authorization header`);
+        reply.status(401).send("invalid authorization header");
+        return;
+    }
+    const obfuscatedKey = obfuscateKey(userKey);
+
+    // One prompt per request: a string, or an array holding a single string
+    const body = request.body || {};
+    const prompt = Array.isArray(body.prompt) && body.prompt.length === 1 ? body.prompt[0] : body.prompt;
+    if (typeof prompt !== 'string') {
+        console.error(`[400] [${timestamp}] [${requestId}] Invalid prompt for key ${obfuscatedKey}`);
+        reply.status(400).send("invalid prompt format");
+        return;
+    }
+    const suffix = typeof body.suffix === 'string' ? body.suffix : '';
+
+    if (countWorkers(userKey) === 0) {
+        console.error(`[401] [${timestamp}] [${requestId}] No connected frontend for key ${obfuscatedKey}`);
+        reply.status(401).send("no connected frontend for this user. are you using the right key?");
+        return;
+    }
+
+    console.log(`[200] [${timestamp}] [${requestId}] Request accepted for key ${obfuscatedKey}`);
+
+    const generationSettings = {
+        temperature: body.temperature !== undefined ? body.temperature : 0.7,
+        max_tokens: body.max_tokens !== undefined ? body.max_tokens : 26000,
+        top_p: body.top_p !== undefined ? body.top_p : 1,
+        frequency_penalty: body.frequency_penalty !== undefined ? body.frequency_penalty : 0,
+        presence_penalty: body.presence_penalty !== undefined ? body.presence_penalty : 0,
+        repetition_penalty: body.repetition_penalty !== undefined ? body.repetition_penalty : 1,
+        stop: normalizeStopSequences(body.stop)
+    };
+
+    // Legacy completions only stream when asked to
+    const wantsStream = body.stream === true;
+
+    return relayGeneration(request, reply, {
+        requestId: requestId,
+        timestamp: timestamp,
+        userKey: userKey,
+        messages: [completionPromptMessage(prompt, suffix)],
+        // Engines with a text completion API take the prompt as-is; they can't honor a suffix
+        rawPrompt: suffix ? null : prompt,
+        settings: generationSettings,
+        model: typeof body.model === 'string' ? body.model : null,
+        stream: wantsStream,
+        format: openAICompletionFormat(requestId, !!(body.stream_options && body.stream_options.include_usage), body.echo === true ? prompt : '')
+    });
+});
+
+// Anthropic Messages API stop reasons for our OpenAI-style finish reasons
+const ANTHROPIC_STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use',
+    content_filter: 'refusal'
+};
+
+// stop_reason and stop_sequence of a finished response; a stop sequence only counts when the worker said which one hit
+function anthropicStop(state) {
+    if (state.finishReason === 'stop' && state.stopSequence) {
+        return { stop_reason: 'stop_sequence', stop_sequence: state.stopSequence };
+    }
+    return { stop_reason: ANTHROPIC_STOP_REASONS[state.finishReason] || 'end_turn', stop_sequence: null };
+}
+
+// Anthropic error types by HTTP status
+function anthropicErrorType(statusCode) {
+    if (statusCode === 400) return 'invalid_request_error';
+    if (statusCode === 401) return 'authentication_error';
+    if (statusCode === 404) return 'not_found_error';
+    if (statusCode === 429) return 'rate_limit_error';
+    if (statusCode === 503) return 'overloaded_error';
+    return 'api_error';
+}
+
+function anthropicErrorBody(statusCode, message) {
+    return { type: 'error', error: { type: anthropicErrorType(statusCode), message: message } };
+}
+
+// Length of the longest tail of text that could be the start of tag
+function partialTagLength(text, tag) {
+    for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+        if (text.endsWith(tag.slice(0, length))) return length;
+    }
+    return 0;
+}
+
+// Split worker output into thinking and text blocks; <think>...</think> becomes a thinking block
+function splitThinkingBlocks(text) {
+    const blocks = [];
+    let thinking = false;
+    let rest = text;
+
+    while (rest) {
+        const tag = thinking ? '</think>' : '<think>';
+        const at = rest.indexOf(tag);
+        const part = at === -1 ? rest : rest.slice(0, at);
+        if (part) blocks.push({ type: thinking ? 'thinking' : 'text', text: part });
+        if (at === -1) break;
+        rest = rest.slice(at + tag.length);
+        thinking = !thinking;
+    }
+    return blocks;
+}
+
+// Anthropic Messages API responses for /v1/messages
+function anthropicMessagesFormat(requestId) {
+    const messageId = `msg_${requestId}`;
+    let started = false;
+    let blockIndex = -1;
+    let blockType = null;
+    let thinking = false;
+    let pending = ''; // text that may be the start of a <think> tag
+
+    const event = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type: type, ...data })}\n\n`;
+
+    const usageOf = (state) => ({
+        input_tokens: state.usage ? state.usage.prompt_tokens || 0 : 0,
+        output_tokens: state.usage ? state.usage.completion_tokens || 0 : 0
+    });
+
+    // message_start goes out right before the first content
+    const start = (state) => {
+        if (started) return '';
+        started = true;
+        return event('message_start', {
+            message: {
+                id: messageId,
+                type: 'message',
+                role: 'assistant',
+                model: state.model,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: 0, output_tokens: 0 }
+            }
+        });
+    };
+
+    // Open a new content block whenever the output switches between thinking and text
+    const blockDelta = (type, text) => {
+        if (!text) return '';
+        let data = '';
+        if (blockType !== type) {
+            if (blockType) data += event('content_block_stop', { index: blockIndex });
+            blockIndex++;
+            blockType = type;
+            data += event('content_block_start', {
+                index: blockIndex,
+                content_block: type === 'thinking' ? { type: 'thinking', thinking: '' } : { type: 'text', text: '' }
+            });
+        }
+        const delta = type === 'thinking' ? { type: 'thinking_delta', thinking: text } : { type: 'text_delta', text: text };
+        return data + event('content_block_delta', { index: blockIndex, delta: delta });
+    };
+
+    return {
+        contentType: 'text/event-stream',
+        heartbeat: (position) => `: queued position=${position}\n\n`,
+
+        content: (text, state) => {
+            let data = start(state);
+            let rest = pending + text;
+            pending = '';
+
+            while (rest) {
+                const tag = thinking ? '</think>' : '<think>';
+                const at = rest.indexOf(tag);
+                if (at === -1) {
+                    const hold = partialTagLength(rest, tag);
+                    data += blockDelta(thinking ? 'thinking' : 'text', rest.slice(0, rest.length - hold));
+                    pending = rest.slice(rest.length - hold);
+                    break;
+                }
+                data += blockDelta(thinking ? 'thinking' : 'text', rest.slice(0, at));
+                rest = rest.slice(at + tag.length);
+                thinking = !thinking;
+            }
+            return data;
+        },
+
+        finish: (state) => {
+            let data = start(state) + blockDelta(thinking ? 'thinking' : 'text', pending);
+            pending = '';
+            if (blockType) {
+                data += event('content_block_stop', { index: blockIndex });
+            } else {
+                // Always return at least one (empty) text block
+                data += event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+                data += event('content_block_stop', { index: 0 });
+            }
+            data += event('message_delta', {
+                delta: anthropicStop(state),
+                usage: { output_tokens: usageOf(state).output_tokens }
+            });
+            return data + event('message_stop', {});
+        },
+
+        complete: (result, state) => {
+            const content = splitThinkingBlocks(result.content).map(block => block.type === 'thinking'
+                ? { type: 'thinking', thinking: block.text, signature: '' }
+                : { type: 'text', text: block.text });
+
+            return {
+                id: messageId,
+                type: 'message',
+                role: 'assistant',
+                model: state.model,
+                content: content.length > 0 ? content : [{ type: 'text', text: '' }],
+                ...anthropicStop(state),
+                usage: usageOf(state)
+            };
+        },
+
+        streamError: (statusCode, message) => event('error', { error: anthropicErrorBody(statusCode, message).error }),
+        errorBody: (statusCode, message) => anthropicErrorBody(statusCode, message)
+    };
+}
+
+// Flatten Anthropic content (a string or content blocks) into the plain text our engines take
+function anthropicContentToText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+
+    return content.map(block => {
+        if (!block || typeof block !== 'object') return '';
+        if (block.type === 'text') return block.text || '';
+        if (block.type === 'tool_result') return anthropicContentToText(block.content);
+        return ''; // images, thinking and tool_use blocks have no text equivalent here
+    }).filter(Boolean).join('\n');
+}
+
+server.post("/v1/messages", async (request, reply) => {
+    /* this is an anthropic messages api endpoint */
+
+    const requestId = Math.random().toString(36).substring(7);
+    const timestamp = new Date().toISOString();
+
+    console.log(`[MESSAGES] Received POST request to /v1/messages`);
+
+    // Anthropic clients send the key as x-api-key; a bearer token works too
+    const userKey = (typeof request.headers['x-api-key'] === 'string' && request.headers['x-api-key'].trim()) || getBearerKey(request);
+    if (!userKey) {
+        console.error(`[401] [${timestamp}] [${requestId}] Missing x-api-key or authorization header`);
+        reply.status(401).send(anthropicErrorBody(401, 'invalid x-api-key'));
+        return;
+    }
+    const obfuscatedKey = obfuscateKey(userKey);
+
+    const body = request.body || {};
+    if (!Array.isArray(body.messages) || body.messages.some(msg => !msg || !['user', 'assistant'].includes(msg.role))) {
+        console.error(`[400] [${timestamp}] [${requestId}] Invalid messages format for key ${obfuscatedKey}`);
+        reply.status(400).send(anthropicErrorBody(400, 'messages: each message needs a role of "user" or "assistant"'));
+        return;
+    }
+    if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+        console.error(`[400] [${timestamp}] [${requestId}] Missing max_tokens for key ${obfuscatedKey}`);
+        reply.status(400).send(anthropicErrorBody(400, 'max_tokens: must be a positive integer'));
+        return;
+    }
+
+    if (countWorkers(userKey) === 0) {
+        console.error(`[401] [${timestamp}] [${requestId}] No connected frontend for key ${obfuscatedKey}`);
+        reply.status(401).send(anthropicErrorBody(401, 'no connected frontend for this user. are you using the right key?'));
+        return;
+    }
+
+    console.log(`[200] [${timestamp}] [${requestId}] Request accepted for key ${obfuscatedKey}`);
+
+    // System prompt and content blocks become plain OpenAI-style messages for the worker
+    const messages = [];
+    const system = anthropicContentToText(body.system);
+    if (system) messages.push({ role: 'system', content: system });
+    for (const msg of body.messages) {
+        messages.push({ role: msg.role, content: anthropicContentToText(msg.content) });
+    }
+
+    const generationSettings = {
+        temperature: body.temperature !== undefined ? body.temperature : 0.7,
+        max_tokens: body.max_tokens,
+        top_p: body.top_p !== undefined ? body.top_p : 1,
+        frequency_penalty: 0,
+        presence_penalty: 0,
+        repetition_penalty: 1,
+        stop: normalizeStopSequences(body.stop_sequences)
+    };
+
+    return relayGeneration(request, reply, {
+        requestId: requestId,
+        timestamp: timestamp,
+        userKey: userKey,
+        messages: messages,
+        settings: generationSettings,
+        model: typeof body.model === 'string' ? body.model : null,
+        stream: body.stream === true, // Anthropic defaults to a single JSON response
+        format: anthropicMessagesFormat(requestId)
+    });
+});
+
+// Ollama responses (newline-delimited JSON) for /api/chat and /api/generate.
+// `kind` picks the field the text goes in: chat uses message.content, generate uses response
+function ollamaFormat(kind) {
+    const startedAt = Date.now();
+
+    const line = (state, text, extra = {}) => JSON.stringify({
+        model: state.model,
+        created_at: new Date().toISOString(),
+        ...(kind === 'chat' ? { message: { role: 'assistant', content: text } } : { response: text }),
+        ...extra
+    }) + '\n';
+
+    // Final statistics; durations are in nanoseconds like Ollama's
+    const doneFields = (state) => {
+        const elapsed = (Date.now() - startedAt) * 1e6;
+        return {
+            done: true,
+            done_reason: state.finishReason === 'length' ? 'length' : 'stop',
+            total_duration: elapsed,
+            load_duration: 0,
+            prompt_eval_count: state.usage ? state.usage.prompt_tokens || 0 : 0,
+            prompt_eval_duration: 0,
+            eval_count: state.usage ? state.usage.completion_tokens || 0 : 0,
+            eval_duration: elapsed
+        };
+    };
+
+    return {
+        contentType: 'application/x-ndjson',
+        heartbeat: () => '', // NDJSON has no comments; the client just waits
+        content: (text, state) => line(state, text, { done: false }),
+        finish: (state) => line(state, '', doneFields(state)),
+        complete: (result, state) => JSON.parse(line(state, result.content, doneFields(state))),
+        streamError: (statusCode, message) => JSON.stringify({ error: message }) + '\n',
+        errorBody: (statusCode, message) => ({ error: message })
+    };
+}
+
+// Ollama `options` -> our generation settings
+function ollamaSettings(options) {
+    options = options || {};
+    return {
+        temperature: options.temperature !== undefined ? options.temperature : 0.7,
+        max_tokens: options.num_predict > 0 ? options.num_predict : 26000,
+        top_p: options.top_p !== undefined ? options.top_p : 1,
+        frequency_penalty: options.frequency_penalty !== undefined ? options.frequency_penalty : 0,
+        presence_penalty: options.presence_penalty !== undefined ? options.presence_penalty : 0,
+        repetition_penalty: options.repeat_penalty !== undefined ? options.repeat_penalty : 1,
+        stop: normalizeStopSequences(options.stop)
+    };
+}
+
+// Ollama `format` is "json" or a JSON schema; map it to an OpenAI response_format
+function ollamaResponseFormat(format) {
+    if (format === 'json') return { type: 'json_object' };
+    if (format && typeof format === 'object') return { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+    return undefined;
+}
+
+// Key check for the Ollama routes; replies and returns null when the request can't be relayed
+function requireOllamaKey(request, reply, requestId, timestamp) {
+    // Ollama itself has no auth, clients that support an API key send it as a bearer token
+    const userKey = getBearerKey(request);
+    if (!userKey) {
+        console.error(`[401] [${timestamp}] [${requestId}] Missing or invalid authorization header`);
+        reply.status(401).send({ error: 'invalid authorization header' });
+        return null;
+    }
+    if (countWorkers(userKey) === 0) {
+        console.error(`[401] [${timestamp}] [${requestId}] No connected frontend for key ${obfuscateKey(userKey)}`);
+        reply.status(401).send({ error: 'no connected frontend for this user. are you using the right key?' });
+        return null;
+    }
+    return userKey;
+}
+
+server.post("/api/chat", async (request, reply) => {
+    /* this is an ollama api endpoint */
+
+    const requestId = Math.random().toString(36).substring(7);
+    const timestamp = new Date().toISOString();
+
+    console.log(`[OLLAMA CHAT] Received POST request to /api/chat`);
+
+    const userKey = requireOllamaKey(request, reply, requestId, timestamp);
+    if (!userKey) return;
+
+    const body = request.body || {};
+    if (!Array.isArray(body.messages)) {
+        console.error(`[400] [${timestamp}] [${requestId}] Invalid messages format for key ${obfuscateKey(userKey)}`);
+        reply.status(400).send({ error: 'invalid messages format' });
+        return;
+    }
+
+    console.log(`[200] [${timestamp}] [${requestId}] Request accepted for key ${obfuscateKey(userKey)}`);
+
+    return relayGeneration(request, reply, {
+        requestId: requestId,
+        timestamp: timestamp,
+        userKey: userKey,
+        // Ollama sends images as a separate array, which our engines don't take
+        messages: body.messages.map(msg => ({ role: msg.role, content: typeof msg.content === 'string' ? msg.content : '' })),
+        settings: ollamaSettings(body.options),
+        model: typeof body.model === 'string' ? body.model : null,
+        responseFormat: ollamaResponseFormat(body.format),
+        stream: body.stream !== false,
+        format: ollamaFormat('chat')
+    });
+});
+
+server.post("/api/generate", async (request, reply) => {
+    /* this is an ollama api endpoint */
+
+    const requestId = Math.random().toString(36).substring(7);
+    const timestamp = new Date().toISOString();
+
+    console.log(`[OLLAMA GENERATE] Received POST request to /api/generate`);
+
+    const userKey = requireOllamaKey(request, reply, requestId, timestamp);
+    if (!userKey) return;
+
+    const body = request.body || {};
+    if (typeof body.prompt !== 'string') {
+        console.error(`[400] [${timestamp}] [${requestId}] Invalid prompt for key ${obfuscateKey(userKey)}`);
+        reply.status(400).send({ error: 'invalid prompt' });
+        return;
+    }
+
+    console.log(`[200] [${timestamp}] [${requestId}] Request accepted for key ${obfuscateKey(userKey)}`);
+
+    // A prompt (and optional system prompt) becomes a one-turn chat
+    const messages = [];
+    if (typeof body.system === 'string' && body.system) messages.push({ role: 'system', content: body.system });
+    messages.push({ role: 'user', content: body.prompt });
+
+    return relayGeneration(request, reply, {
+        requestId: requestId,
+        timestamp: timestamp,
+        userKey: userKey,
+        messages: messages,
+        settings: ollamaSettings(body.options),
+        model: typeof body.model === 'string' ? body.model : null,
+        responseFormat: ollamaResponseFormat(body.format),
+        stream: body.stream !== false,
+        format: ollamaFormat('generate')
+    });
+});
+
+// Ollama's model list: the worker's models, with the details fields clients expect
+server.get("/api/tags", async (request, reply) => {
+    const requestId = Math.random().toString(36).substring(7);
+    const userKey = requireOllamaKey(request, reply, requestId, new Date().toISOString());
+    if (!userKey) return;
+
+    const models = await listWorkerModels(userKey);
+    reply.send({
+        models: models.map(model => ({
+            name: model.id,
+            model: model.id,
+            modified_at: new Date(model.created * 1000).toISOString(),
+            size: 0,
+            digest: '',
+            details: {
+                format: '',
+                family: model.owned_by,
+                families: [model.owned_by],
+                parameter_size: '',
+                quantization_level: ''
+            }
+        }))
+    });
+});
+
+// Worker secrets and client API keys.
+// A worker authenticates with a secret that never leaves its browser except in the socket handshake.
+// API callers use named client keys derived from that secret, each with optional limits; rotating revokes
+// them and issues new ones. Only hashes are kept on disk, plus the index the next key is derived with.
+// Anyone can connect with a made-up secret, so a new secret's record stays in memory until one of its keys
+// is used or changed; records that were saved but never used are capped and expire
+const KEY_STORE_PATH = config.keys.storePath;
+const MAX_CLIENT_KEYS = 20; // per worker secret
+const MAX_UNUSED_KEY_RECORDS = 1000; // saved records none of whose keys has served a request yet
+const UNUSED_KEY_RECORD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_REVOKED_SECRETS = 10000;
+const KEY_USE_SAVE_INTERVAL_MS = 60 * 60 * 1000; // how often last_used_at is written back
+
+// workers: sha256(secret) -> { next_index, keys: [{ index, hash, name, limits, created_at }], created_at, last_used_at, donor_seed }
+// revoked_secrets: sha256(secret) -> when it was rotated away; those secrets can't connect any more
+// A store that exists but can't be read stops the server: starting empty would overwrite it on the next save,
+// losing every key's name and limits and letting revoked secrets connect again
+let key_store = { workers: {}, revoked_secrets: {} };
+try {
+    key_store = JSON.parse(fs.readFileSync(KEY_STORE_PATH, 'utf8'));
+    if (!key_store || typeof key_store.workers !== 'object' || key_store.workers === null) {
+        throw new Error('"workers" is missing');
+    }
+    if (!key_store.revoked_secrets || typeof key_store.revoked_secrets !== 'object') key_store.revoked_secrets = {};
+} catch (error) {
+    if (error.code === 'ENOENT') {
+        key_store = { workers: {}, revoked_secrets: {} };
+    } else {
+        console.error(`Cannot load the key store ${KEY_STORE_PATH}: ${error.message}. Fix or restore it (or move it away to start with no keys)`);
+        process.exit(1);
+    }
+}
+
+// sha256(secret) -> record of a connected worker whose keys haven't been used or changed yet; never saved
+const pending_key_records = new Map();
+
+function keyRecordFor(secretHash) {
+    return key_store.workers[secretHash] || pending_key_records.get(secretHash) || null;
+}
+
+// sha256(client key) -> { secretHash, entry }, so requests can find the limits of their key
+let client_key_index = new Map();
+function indexClientKeys() {
+    client_key_index = new Map();
+    const records = [...Object.entries(key_store.workers), ...pending_key_records.entries()];
+    for (const [secretHash, record] of records) {
+        for (const entry of record.keys) client_key_index.set(entry.hash, { secretHash: secretHash, entry: entry });
+    }
+}
+
+// Persist the store and refresh the lookup index; called after every change.
+// Written to a temp file and renamed over the store, so a crash mid-write leaves the previous version
+let keyStoreWrite = Promise.resolve();
+function saveKeyStore() {
+    pruneKeyRecords();
+    indexClientKeys();
+    const data = JSON.stringify(key_store, null, 2);
+    const tempPath = `${KEY_STORE_PATH}.${process.pid}.tmp`;
+    keyStoreWrite = keyStoreWrite
+        .then(() => fs.promises.writeFile(tempPath, data))
+        .then(() => fs.promises.rename(tempPath, KEY_STORE_PATH))
+        .catch(error => console.error(`Failed to write ${KEY_STORE_PATH}:`, error.message));
+}
+
+function hashKey(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function deriveClientKey(secret, index) {
+    return 'sk-' + crypto.createHmac('sha256', secret).update(`client-key:${index}`).digest('hex').substring(0, 48);
+}
+
+// The key record for a worker secret. A new secret gets an unsaved record with a first client key; keys
+// derive from the secret, so that key comes out the same if the record is dropped and made again
+function getKeyRecord(secret) {
+    const secretHash = hashKey(secret);
+    let record = keyRecordFor(secretHash);
+    if (!record) {
+        record = { next_index: 0, keys: [], created_at: Date.now() };
+        issueClientKey(secret, record);
+        pending_key_records.set(secretHash, record);
+        indexClientKeys();
+    }
+    return record;
+}
+
+// Save a record from now on: one of its keys served a request, or the worker changed its keys
+function persistKeyRecord(secretHash) {
+    const record = pending_key_records.get(secretHash);
+    if (!record) return;
+    pending_key_records.delete(secretHash);
+    key_store.workers[secretHash] = record;
+}
+
+// Note that a key served a request; saved at most once per KEY_USE_SAVE_INTERVAL_MS per record
+function markKeyRecordUsed(secretHash) {
+    persistKeyRecord(secretHash);
+    const record = key_store.workers[secretHash];
+    if (!record) return;
+    const now = Date.now();
+    if (record.last_used_at && now - record.last_used_at < KEY_USE_SAVE_INTERVAL_MS) return;
+    record.last_used_at = now;
+    saveKeyStore();
+}
+
+// Unsaved records only live as long as a worker with that secret is connected
+function dropPendingKeyRecord(secretHash) {
+    if (secret_workers.has(secretHash) || !pending_key_records.delete(secretHash)) return;
+    indexClientKeys();
+}
+
+// Drop saved records none of whose keys was ever used once they are old, or the oldest past the cap.
+// Records of connected workers and ones carrying donations from an earlier secret are kept
+function pruneKeyRecords() {
+    const now = Date.now();
+    const unused = Object.entries(key_store.workers)
+        .filter(([secretHash, record]) => !record.last_used_at && !record.donor_seed && !secret_workers.has(secretHash))
+        .sort((a, b) => a[1].created_at - b[1].created_at);
+    let excess = unused.length - MAX_UNUSED_KEY_RECORDS;
+    for (const [secretHash, record] of unused) {
+        if (excess > 0 || now - record.created_at > UNUSED_KEY_RECORD_TTL_MS) {
+            delete key_store.workers[secretHash];
+            excess--;
+        }
+    }
+
+    const revoked = Object.entries(key_store.revoked_secrets);
+    if (revoked.length > MAX_REVOKED_SECRETS) {
+        revoked.sort((a, b) => a[1] - b[1]);
+        for (const [secretHash] of revoked.slice(0, revoked.length - MAX_REVOKED_SECRETS)) delete key_store.revoked_secrets[secretHash];
+    }
+}
+
+function isSecretRevoked(secret) {
+    return Object.hasOwn(key_store.revoked_secrets, hashKey(secret));
+}
+
+// Donations are linked to the first secret of a worker and stay linked through secret rotations.
+// Null for a rotated-away secret, so a leaked old secret can't donate or delete in the worker's name
+function donorSeedFor(secret) {
+    if (isSecretRevoked(secret)) return null;
+    const secretHash = hashKey(secret);
+    const record = keyRecordFor(secretHash);
+    return (record && record.donor_seed) || secretHash;
+}
+
+function issueClientKey(secret, record, name, limits) {
+    const index = record.next_index++;
+    const entry = {
+        index: index,
+        hash: hashKey(deriveClientKey(secret, index)),
+        name: normalizeKeyName(name, 'default'),
+        limits: normalizeKeyLimits(limits),
+        created_at: Date.now()
+    };
+    record.keys.push(entry);
+    return entry;
+}
+
+function normalizeKeyName(name, fallback) {
+    return typeof name === 'string' && name.trim() ? name.trim().substring(0, 40) : fallback;
+}
+
+// Optional per-key limits; anything missing or invalid means no limit
+function normalizeKeyLimits(limits) {
+    const source = limits && typeof limits === 'object' ? limits : {};
+    const positive = (value) => Number.isInteger(value) && value > 0 ? value : null;
+    return {
+        requests_per_minute: positive(source.requests_per_minute),
+        tokens_per_day: positive(source.tokens_per_day),
+        models: Array.isArray(source.models)
+            ? source.models.filter(model => typeof model === 'string' && model.trim()).map(model => model.trim()).slice(0, 50)
+            : []
+    };
+}
+
+// Plain client keys are re-derived from the secret; the record only says which ones are still valid
+function clientKeysFor(secret, record) {
+    return record.keys.map(entry => deriveClientKey(secret, entry.index));
+}
+
+// What the worker UI shows for each of its keys
+function describeClientKeys(secret, record) {
+    return record.keys.map(entry => ({
+        key: deriveClientKey(secret, entry.index),
+        index: entry.index,
+        name: entry.name || 'default',
+        limits: entry.limits || normalizeKeyLimits(),
+        usage: keyUsageSummary(entry.hash)
+    }));
+}
+
+// Per-key usage for the limits, kept in memory: sha256(client key) -> { minute: [timestamps], day, requests, tokens }.
+// Days are UTC; a restart starts every key's day over
+const key_usage = new Map();
+
+function getKeyUsage(keyHash) {
+    const today = new Date().toISOString().substring(0, 10);
+    let usage = key_usage.get(keyHash);
+    if (!usage || usage.day !== today) {
+        usage = { minute: [], day: today, requests: 0, tokens: 0 };
+        key_usage.set(keyHash, usage);
+    }
+    const cutoff = Date.now() - 60000;
+    usage.minute = usage.minute.filter(time => time > cutoff);
+    return usage;
+}
+
+function keyUsageSummary(keyHash) {
+    const usage = getKeyUsage(keyHash);
+    return { requests_last_minute: usage.minute.length, requests_today: usage.requests, tokens_today: usage.tokens };
+}
+
+// Model names the worker reads as "the model selected in the dropdown" (see engines.js)
+const MODEL_ALIASES = ['', 'auto', 'default', 'composite'];
+
+// The models a key is limited to, or null when it may use any
+function allowedModelsFor(userKey) {
+    const found = client_key_index.get(hashKey(userKey));
+    const models = found && found.entry.limits && found.entry.limits.models;
+    return models && models.length > 0 ? models : null;
+}
+
+// Check a generation request against its key's limits without counting it.
+// Returns { model } with the model to request from the worker, otherwise { denied: { statusCode, message, type, retryAfter } }.
+// The worker picks its dropdown model for null or an alias, which a model-limited key can't be trusted with,
+// so those run the key's first allowed model instead
+function checkKeyRequest(userKey, model) {
+    const found = client_key_index.get(hashKey(userKey));
+    if (!found) return { model };
+    const limits = found.entry.limits || {};
+    const usage = getKeyUsage(found.entry.hash);
+    const now = Date.now();
+
+    const allowed = allowedModelsFor(userKey);
+    if (allowed && (model === null || MODEL_ALIASES.includes(model.trim().toLowerCase()))) {
+        model = allowed[0];
+    }
+    if (allowed && !allowed.includes(model)) {
+        return {
+            denied: {
+                statusCode: 403,
+                message: `This key may only use these models: ${allowed.join(', ')}`,
+                type: 'permission_error'
+            }
+        };
+    }
+    if (limits.requests_per_minute && usage.minute.length >= limits.requests_per_minute) {
+        return {
+            denied: {
+                statusCode: 429,
+                message: `This key is limited to ${limits.requests_per_minute} requests per minute`,
+                type: 'rate_limit_error',
+                retryAfter: Math.max(1, Math.ceil((usage.minute[0] + 60000 - now) / 1000))
+            }
+        };
+    }
+    if (limits.tokens_per_day && usage.tokens >= limits.tokens_per_day) {
+        const midnight = new Date(now);
+        midnight.setUTCHours(24, 0, 0, 0);
+        return {
+            denied: {
+                statusCode: 429,
+                message: `This key has used its ${limits.tokens_per_day} tokens for today`,
+                type: 'rate_limit_error',
+                retryAfter: Math.ceil((midnight.getTime() - now) / 1000)
+            }
+        };
+    }
+
+    return { model };
+}
+
+// Count a request the queue took against its key's limits
+function chargeKeyRequest(userKey) {
+    const found = client_key_index.get(hashKey(userKey));
+    if (!found) return;
+    const usage = getKeyUsage(found.entry.hash);
+    usage.minute.push(Date.now());
+    usage.requests++;
+    markKeyRecordUsed(found.secretHash);
+}
+
+// Add a finished generation's tokens to its key and tell the worker tabs serving it
+function recordKeyUsage(userKey, tokens) {
+    const found = client_key_index.get(hashKey(userKey));
+    if (!found) return;
+    const usage = getKeyUsage(found.entry.hash);
+    if (Number.isFinite(tokens) && tokens > 0) usage.tokens += tokens;
+
+    const pool = connected_users.get(userKey);
+    if (!pool) return;
+    for (const worker of pool.workers.values()) {
+        worker.socket.emit('key_usage', { index: found.entry.index, usage: keyUsageSummary(found.entry.hash) });
+    }
+}
+
+// Move a worker into the pools of the client keys it serves, and out of pools for keys it no longer serves
+function setWorkerKeys(socket, worker, clientKeys) {
+    for (const userKey of socket.data.clientKeys || []) {
+        if (clientKeys.includes(userKey)) continue;
+        const pool = connected_users.get(userKey);
+        if (!pool) continue;
+        pool.workers.delete(socket.id);
+        if (pool.workers.size === 0) connected_users.delete(userKey);
+    }
+
+    for (const userKey of clientKeys) {
+        if (!connected_users.has(userKey)) {
+            connected_users.set(userKey, { workers: new Map(), next_index: -1 });
+        }
+        connected_users.get(userKey).workers.set(socket.id, worker);
+    }
+    socket.data.clientKeys = clientKeys;
+
+    // Capacity is counted per secret: a socket serving any of its keys adds one worker
+    const secretHash = socket.data.secretHash;
+    if (!secret_workers.has(secretHash)) secret_workers.set(secretHash, new Set());
+    const sockets = secret_workers.get(secretHash);
+    if (clientKeys.length > 0) sockets.add(socket.id);
+    else sockets.delete(socket.id);
+    if (sockets.size === 0) secret_workers.delete(secretHash);
+
+    // New capacity, so waiting requests may start now
+    drainWorkerQueue(secretHash);
+}
+
 // /socket socket.io endpoint
 
 const ioSocket = io.of('/socket');
 ioSocket.on('connection', (socket) => {
-    // get the key
-    let userkey = socket.handshake.query.key;
-    if (!userkey || typeof userkey !== 'string' || userkey.length < 10) {
-        console.log('Invalid key provided in connection attempt');
+    // the secret comes in the handshake auth payload, never in the URL
+    const secret = socket.handshake.auth && socket.handshake.auth.secret;
+    if (!secret || typeof secret !== 'string' || secret.length < 32 || secret.length > 256) {
+        console.log('Invalid worker secret provided in connection attempt');
+        socket.disconnect(true);
+        return;
+    }
+    // A secret rotated away (see rotate_worker_secret) is dead; the worker's tabs switch to the new one
+    if (isSecretRevoked(secret)) {
+        console.log('Revoked worker secret provided in connection attempt');
+        socket.emit('worker_secret_revoked');
         socket.disconnect(true);
         return;
     }
     const timestamp = Date.now();
+    const secretHash = hashKey(secret);
+    const record = getKeyRecord(secret);
 
-    // obfuscate last 10 chars to prevent anyone from hosting this and yoinking people's keys
-    let obfuscated = userkey.substring(0, userkey.length - 10) + '*'.repeat(10);
+    // log a short prefix of the secret's hash, never the secret or a client key
+    const obfuscated = `worker ${secretHash.substring(0, 8)}`;
 
-    // Replace existing connection or create new one
-    if (connected_users.has(userkey)) {
-        const existingUserInfo = connected_users.get(userkey);
-        if (existingUserInfo.socket) {
-            existingUserInfo.socket.disconnect(true);
+    // Every tab with this secret serves the same client keys; other tabs stay connected
+    const worker = {
+        socket: socket,
+        connected_at: timestamp,
+        active: 0
+    };
+    socket.data.secretHash = secretHash;
+    socket.data.worker = worker;
+    setWorkerKeys(socket, worker, clientKeysFor(secret, record));
+    socket.emit('client_keys', { keys: describeClientKeys(secret, record) });
+
+    console.log(`CONNECTION: ${obfuscated} (keys: ${record.keys.length}, workers for key: ${countWorkers(socket.data.clientKeys[0])}, total users: ${connected_users.size})`);
+
+    // After a key change every tab with this secret moves to the new key set
+    const publishKeys = (current) => {
+        const clientKeys = clientKeysFor(secret, current);
+        const described = describeClientKeys(secret, current);
+        for (const other of ioSocket.sockets.values()) {
+            if (other.data.secretHash !== secretHash) continue;
+            setWorkerKeys(other, other.data.worker, clientKeys);
+            other.emit('client_keys', { keys: described });
         }
-    }
+        return described;
+    };
 
-    connected_users.set(userkey, {
-        socket: socket,
-        connected_at: timestamp
+    // Replace every client key of this secret with a new one, keeping names and limits
+    socket.on('rotate_client_keys', (data, respond) => {
+        const current = keyRecordFor(secretHash);
+        if (!current) return;
+        const previous = current.keys;
+        current.keys = [];
+        for (const entry of previous) issueClientKey(secret, current, entry.name, entry.limits);
+        if (current.keys.length === 0) issueClientKey(secret, current);
+        persistKeyRecord(secretHash);
+        saveKeyStore();
+
+        console.log(`ROTATED: ${obfuscated} (previous client keys revoked)`);
+        const keys = publishKeys(current);
+        if (typeof respond === 'function') respond({ keys: keys });
+    });
+
+    // Mint another named key, e.g. one per teammate or bot
+    socket.on('create_client_key', (data, respond) => {
+        const reply = typeof respond === 'function' ? respond : () => {};
+        const current = keyRecordFor(secretHash);
+        if (!current) return;
+        if (current.keys.length >= MAX_CLIENT_KEYS) {
+            reply({ error: `A worker can have at most ${MAX_CLIENT_KEYS} keys` });
+            return;
+        }
+
+        const entry = issueClientKey(secret, current, normalizeKeyName(data && data.name, `key ${current.next_index}`), data && data.limits);
+        persistKeyRecord(secretHash);
+        saveKeyStore();
+        console.log(`KEY CREATED: ${obfuscated} (${entry.name})`);
+        reply({ keys: publishKeys(current) });
+    });
+
+    // Revoke one key; its callers get 401 from now on
+    socket.on('revoke_client_key', (data, respond) => {
+        const reply = typeof respond === 'function' ? respond : () => {};
+        const current = keyRecordFor(secretHash);
+        const entry = current && data && current.keys.find(key => key.index === data.index);
+        if (!entry) {
+            reply({ error: 'No such key' });
+            return;
+        }
+        if (current.keys.length === 1) {
+            reply({ error: 'This is the last key; rotate it instead' });
+            return;
+        }
+
+        current.keys = current.keys.filter(key => key !== entry);
+        persistKeyRecord(secretHash);
+        saveKeyStore();
+        console.log(`KEY REVOKED: ${obfuscated} (${entry.name})`);
+        reply({ keys: publishKeys(current) });
     });
 
-    console.log(`CONNECTION: ${obfuscated} (total connections: ${connected_users.size})`);
+    // Replace a leaked worker secret: the record moves to the new secret with its key names, limits, usage
+    // and donations, every key is re-issued from the new secret, and the old secret can't connect again.
+    // The worker picks the new secret and stores it before asking, so a lost reply can't lock it out
+    socket.on('rotate_worker_secret', (data, respond) => {
+        const reply = typeof respond === 'function' ? respond : () => {};
+        const next = data && data.secret;
+        if (typeof next !== 'string' || next.length < 32 || next.length > 256 || next === secret) {
+            reply({ error: 'The new secret must be 32 to 256 characters and differ from the current one' });
+            return;
+        }
+        const nextHash = hashKey(next);
+        const current = keyRecordFor(secretHash);
+        if (!current || keyRecordFor(nextHash) || isSecretRevoked(next)) {
+            reply({ error: 'That secret cannot be used, pick another one' });
+            return;
+        }
+
+        const migrated = {
+            next_index: 0,
+            keys: [],
+            created_at: current.created_at,
+            last_used_at: current.last_used_at,
+            donor_seed: current.donor_seed || secretHash
+        };
+        for (const entry of current.keys) {
+            const issued = issueClientKey(next, migrated, entry.name, entry.limits);
+            if (key_usage.has(entry.hash)) key_usage.set(issued.hash, key_usage.get(entry.hash));
+        }
+        delete key_store.workers[secretHash];
+        pending_key_records.delete(secretHash);
+        key_store.workers[nextHash] = migrated;
+        key_store.revoked_secrets[secretHash] = Date.now();
+        saveKeyStore();
+
+        console.log(`SECRET ROTATED: ${obfuscated} -> worker ${nextHash.substring(0, 8)} (old secret and client keys revoked)`);
+        reply({ ok: true });
+
+        // Every tab on the old secret, this one included, reconnects with the new one
+        for (const other of ioSocket.sockets.values()) {
+            if (other.data.secretHash !== secretHash) continue;
+            other.emit('worker_secret_revoked');
+            other.disconnect(true);
+        }
+    });
 
     // Set up disconnect handler
     socket.on("disconnect", (reason) => {
         console.log(`DISCONNECT: ${obfuscated} (reason: ${reason})`);
-        connected_users.delete(userkey);
+        setWorkerKeys(socket, worker, []);
+        dropPendingKeyRecord(secretHash);
     });
 });
 
-server.listen({ port: 3005 }, (err, address) => {
+server.listen({ port: config.server.port, host: config.server.host }, (err, address) => {
   if (err) {
     console.error(err);
     process.exit(1);
   }
-  console.log(`Server is running at http://localhost:3000`);
+  console.log(`Server is running at ${address}`);
 });
\ No newline at end of file
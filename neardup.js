@@ -0,0 +1,182 @@
+// Near-duplicate detection for donated chats: MinHash signatures over word shingles of the normalized
+// conversation, indexed with locality-sensitive hashing. A lookup only compares against chats that
+// share a band with the new one, so checking against the whole corpus stays fast as it grows
+const SIGNATURE_SIZE = 64; // hash functions per signature
+const BANDS = 16; // LSH bands of SIGNATURE_SIZE / BANDS rows; chats ~50% similar or more usually share one
+const ROWS = SIGNATURE_SIZE / BANDS;
+const SHINGLE_WORDS = 3;
+
+// Fixed seeds, so signatures stay comparable across restarts
+const SEEDS = new Uint32Array(SIGNATURE_SIZE);
+for (let i = 0, seed = 0x9e3779b9; i < SIGNATURE_SIZE; i++) {
+    seed = Math.imul(seed ^ (seed >>> 15), 0x2c1b3c6d) >>> 0;
+    SEEDS[i] = seed;
+}
+
+// Normalize message content for comparison
+function normalizeMessageContent(message) {
+    if (!message || typeof message !== 'object') return '';
+
+    let content = '';
+    if (typeof message.content === 'string') {
+        content = message.content;
+    }
+
+    // Normalize: trim, convert to lowercase, collapse multiple spaces, remove special chars
+    return content
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/[^\w\s]/g, '')
+        .slice(0, 1000); // Limit length for comparison
+}
+
+// FNV-1a
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// murmur3 finalizer, so every seed acts as a different hash function
+function mix(value) {
+    value = Math.imul(value ^ (value >>> 16), 0x85ebca6b);
+    value = Math.imul(value ^ (value >>> 13), 0xc2b2ae35);
+    return (value ^ (value >>> 16)) >>> 0;
+}
+
+// Overlapping runs of words across the whole chat, so an inserted word only changes a few shingles
+function shingles(messages) {
+    const words = messages.map(normalizeMessageContent).join(' ').split(' ').filter(Boolean);
+    if (words.length <= SHINGLE_WORDS) return words.length > 0 ? [words.join(' ')] : [];
+
+    const result = new Set();
+    for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+        result.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+    }
+    return Array.from(result);
+}
+
+// MinHash signature of a chat; null when it has no text to compare
+function conversationSignature(messages) {
+    const hashes = shingles(messages).map(hashString);
+    if (hashes.length === 0) return null;
+
+    const signature = new Uint32Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const hash of hashes) {
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = mix(hash ^ SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    }
+    return signature;
+}
+
+// Share of equal positions, an estimate of the Jaccard similarity of the two shingle sets
+function estimateSimilarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        if (a[i] === b[i]) equal++;
+    }
+    return equal / SIGNATURE_SIZE;
+}
+
+function bandKey(signature, band) {
+    let hash = 0x811c9dc5;
+    for (let i = band * ROWS; i < (band + 1) * ROWS; i++) {
+        hash = Math.imul(hash ^ signature[i], 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// A removed chat's slot holds all zeros; a real signature never does
+function isCleared(signature) {
+    return signature.every(value => value === 0);
+}
+
+// Signatures live in one growing typed array; a slot is a chat's position in it. Removing a chat clears
+// its slot instead of reusing it, so slots stay stable
+function createMinHashIndex() {
+    let signatures = new Uint32Array(SIGNATURE_SIZE * 1024);
+    let count = 0;
+    const bands = Array.from({ length: BANDS }, () => new Map()); // band key -> slot, or array of slots
+
+    function signatureAt(slot) {
+        return signatures.subarray(slot * SIGNATURE_SIZE, (slot + 1) * SIGNATURE_SIZE);
+    }
+
+    function add(signature) {
+        if ((count + 1) * SIGNATURE_SIZE > signatures.length) {
+            const grown = new Uint32Array(signatures.length * 2);
+            grown.set(signatures);
+            signatures = grown;
+        }
+        const slot = count++;
+        signatures.set(signature, slot * SIGNATURE_SIZE);
+        if (isCleared(signature)) return slot;
+
+        for (let band = 0; band < BANDS; band++) {
+            const key = bandKey(signature, band);
+            const bucket = bands[band].get(key);
+            if (bucket === undefined) bands[band].set(key, slot);
+            else if (Array.isArray(bucket)) bucket.push(slot);
+            else bands[band].set(key, [bucket, slot]);
+        }
+        return slot;
+    }
+
+    // Take a chat out of the index: out of its band buckets, and its slot cleared
+    function remove(slot) {
+        if (slot < 0 || slot >= count) return;
+        const signature = signatureAt(slot);
+        if (isCleared(signature)) return;
+        for (let band = 0; band < BANDS; band++) {
+            const key = bandKey(signature, band);
+            const bucket = bands[band].get(key);
+            if (bucket === slot) {
+                bands[band].delete(key);
+            } else if (Array.isArray(bucket)) {
+                const remaining = bucket.filter(other => other !== slot);
+                if (remaining.length === 1) bands[band].set(key, remaining[0]);
+                else bands[band].set(key, remaining);
+            }
+        }
+        signature.fill(0);
+    }
+
+    // The most similar stored chat at or above the threshold, as { slot, similarity }, or null
+    function findSimilar(signature, threshold) {
+        const checked = new Set();
+        let best = null;
+        for (let band = 0; band < BANDS; band++) {
+            const bucket = bands[band].get(bandKey(signature, band));
+            if (bucket === undefined) continue;
+            for (const slot of Array.isArray(bucket) ? bucket : [bucket]) {
+                if (checked.has(slot)) continue;
+                checked.add(slot);
+                const similarity = estimateSimilarity(signature, signatureAt(slot));
+                if (similarity >= threshold && (!best || similarity > best.similarity)) best = { slot, similarity };
+            }
+        }
+        return best;
+    }
+
+    return {
+        add,
+        remove,
+        findSimilar,
+        size: () => count,
+        // Raw bytes of every signature in slot order, for persisting
+        bytes: () => Buffer.from(signatures.buffer, 0, count * SIGNATURE_SIZE * 4)
+    };
+}
+
+module.exports = {
+    SIGNATURE_SIZE,
+    normalizeMessageContent,
+    conversationSignature,
+    estimateSimilarity,
+    createMinHashIndex
+};
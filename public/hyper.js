@@ -198,14 +198,18 @@ class Hyper {
     return this.models.filter(model => this.status_models[model] && this.status_models[model][0] === 1);
   }
 
-  async generateResponse(messages, streaming = true, callback = null) {
+  // preferredModel (optional) is tried first, even if autoCheck hasn't marked it up yet
+  async generateResponse(messages, streaming = true, callback = null, preferredModel = null) {
     // Validate messages
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       throw new Error("Invalid messages parameter: must be a non-empty array");
     }
 
     // Get all available models
-    const availableModels = this.getAvailableModels();
+    let availableModels = this.getAvailableModels();
+    if (preferredModel) {
+      availableModels = [preferredModel, ...availableModels.filter(model => model !== preferredModel)];
+    }
 
     if (availableModels.length === 0) {
       throw new Error("No available models found. Run autoCheck first or all models are down.");
@@ -338,7 +342,7 @@ class Hyper {
                   let content = json.choices[0].delta.content;
                   hasReceivedContent = true;
                   if (callback) {
-                    callback(content);
+                    callback(content, model);
                   } else {
                     console.log(content);
                   }
@@ -54,6 +54,18 @@ const availableModels = [
                 availableModelsPollinations = [];
             });
 
+// How many generations each engine runs at once; extra jobs wait in a FIFO queue.
+// Override per engine with localStorage "engine-concurrency", e.g. {"Pollinations (Cloud AI)": 8}.
+// WebLLM can't be overridden: each job may switch the one loaded model
+const engineConcurrency = {
+            "WebLLM (Local AI)": 1, // single local model, jobs run one at a time
+            "Pollinations (Cloud AI)": 4,
+            "Yuzu (Cloud AI)": 4,
+            "Yuzu (AUTO)": 4,
+            "Hyper (Auto)": 4,
+            "Custom Engine": 4
+        };
+
 let debug = false;
 
-        export { prompts, availableModels, availableModelsPollinations, availableModelsYuzu, allAvailableModelsPollinations, debug };
\ No newline at end of file
+        export { prompts, availableModels, availableModelsPollinations, availableModelsYuzu, allAvailableModelsPollinations, engineConcurrency, debug };
\ No newline at end of file
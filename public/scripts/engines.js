@@ -94,9 +94,9 @@ export function saveCustomEngineConfig() {
     document.getElementById('model').appendChild(option);
 }
 
-// Initialize WebLLM Engine
-export async function initializeWebLLMEngine(engine) {
-    let selectedModel = document.getElementById("model").value;
+// Initialize WebLLM Engine, optionally with a model other than the dropdown's
+export async function initializeWebLLMEngine(engine, model = null) {
+    let selectedModel = model || document.getElementById("model").value;
 
     // compute dynamic length
 
@@ -111,6 +111,7 @@ export async function initializeWebLLMEngine(engine) {
         context_window_size: context_len,
     };
     await engine.reload(selectedModel, config);
+    window.webllmLoadedModel = selectedModel;
 }
 
 // Update engine init progress
@@ -278,6 +279,50 @@ export function handleEngineChange() {
     }
 }
 
+// Models offered by the selected engine, reported to the server for /v1/models
+export function getEngineModels() {
+    const engineValue = document.getElementById("engine").value;
+    let models = [];
+
+    if (engineValue === "WebLLM (Local AI)") {
+        models = availableModels;
+    } else if (engineValue === "Pollinations (Cloud AI)") {
+        models = availableModelsPollinations;
+    } else if (engineValue === "Yuzu (Cloud AI)") {
+        models = availableModelsYuzu;
+    } else if (engineValue === "Yuzu (AUTO)") {
+        models = ["auto", ...availableModelsYuzu];
+    } else if (engineValue === "Hyper (Auto)") {
+        models = window.hyperInstance ? window.hyperInstance.models : [];
+    } else if (engineValue === "Custom Engine") {
+        // window copy is shared by every instance of this module
+        const config = window.customEngineConfig || customEngineConfig;
+        models = config.model ? [config.model] : [];
+    }
+
+    return { engine: engineValue, models: Array.from(models) };
+}
+
+// Model names that mean "use whatever is selected in the dropdown" (or the router's pick)
+const modelAliases = ["", "auto", "default", "composite"];
+
+// Check an API request's `model` against the selected engine.
+// Returns { model } (null for aliases) or { error } when the engine doesn't offer it
+export function resolveRequestedModel(requestedModel) {
+    if (typeof requestedModel !== 'string' || modelAliases.includes(requestedModel.trim().toLowerCase())) {
+        return { model: null };
+    }
+
+    const { engine, models } = getEngineModels();
+    if (!models.includes(requestedModel)) {
+        return {
+            error: `The model '${requestedModel}' is not offered by ${engine}. Use 'auto' for the selected model, or one of: ${models.join(', ') || '(no models loaded)'}`
+        };
+    }
+
+    return { model: requestedModel };
+}
+
 // Load saved config from localStorage
 export function loadSavedConfig() {
     // Track if user has manually changed the engine
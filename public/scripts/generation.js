@@ -1,23 +1,241 @@
 // Generation-related functions for all engines
-import { prompts } from "./constants.js";
+import { prompts, engineConcurrency } from "./constants.js";
 import Yuzu from "../yuzu/client.js";
+import { initializeWebLLMEngine } from "./engines.js";
+import {
+    normalizeTools,
+    createToolCallId,
+    toGeminiTools,
+    toGeminiToolConfig,
+    toGeminiToolParts,
+    buildToolPrompt,
+    flattenToolMessages,
+    parseToolCallBlocks,
+    TOOL_CALL_OPEN
+} from "./tools.js";
+import {
+    normalizeResponseFormat,
+    getResponseSchema,
+    buildJsonPrompt,
+    toGeminiSchema,
+    validateJsonOutput
+} from "./structured.js";
 
 const yuzuClient = new Yuzu();
 
-// Generation state
-export let genned = "";
-export let inThinkingMode = false;
-export let hasShownThinking = false;
-export let currentGeneration = null;
-export let generationStopped = false;
+// How many times engines without a native JSON mode may try to produce valid output
+const JSON_REPAIR_ATTEMPTS = 3;
+
+// How much of an engine API's error body is passed on to the API client
+const UPSTREAM_BODY_LIMIT = 2000;
+
+// Generation jobs, keyed by the requestId the server assigned them
+const activeJobs = new Map();
+
+// Per-engine scheduling state: engine type -> { running, queue }
+const engineSlots = new Map();
+
+// Create a fresh generation context for one request
+export function createGenerationJob(requestId, options = {}) {
+    return {
+        requestId,
+        requestedModel: options.model || null, // null means use the dropdown / router pick
+        stopSequences: Array.isArray(options.stop) ? options.stop.filter(seq => typeof seq === 'string' && seq) : [],
+        stopBuffer: "", // tail held back because it may be the start of a stop sequence
+        tools: normalizeTools(options.tools),
+        toolChoice: options.toolChoice || null,
+        emulateTools: false, // set by engines that get the tools through the prompt
+        toolBuffer: "", // emulated output that is (or may become) a tool call block
+        capturingTool: false,
+        toolCallCount: 0,
+        responseFormat: normalizeResponseFormat(options.responseFormat),
+        jsonRepair: false, // output is collected in jsonBuffer and validated before it is sent
+        jsonBuffer: "",
+        rawPrompt: typeof options.prompt === 'string' ? options.prompt : null, // legacy completions text, for engines that take it as-is
+        genned: "",
+        inThinkingMode: false,
+        hasShownThinking: false,
+        currentGeneration: null,
+        stopped: false,
+        finished: false,
+        chunkCount: 0, // message / tool_calls events sent so far; each carries its sequence number
+        model: null,
+        finishReason: null,
+        stopSequence: null, // the stop sequence that ended the output, if handleEmit cut it there
+        usage: null,
+        promptTokens: 0
+    };
+}
+
+// Look up how many jobs an engine may run at once (localStorage override wins, except for WebLLM:
+// a job may reload its single engine with another model, so jobs there always run one at a time)
+export function getEngineConcurrency(engineType) {
+    if (engineType === "WebLLM (Local AI)") return 1;
+    try {
+        const overrides = JSON.parse(localStorage.getItem("engine-concurrency") || "{}");
+        const override = parseInt(overrides[engineType], 10);
+        if (override > 0) return override;
+    } catch (e) {
+        console.error("Invalid engine-concurrency override in localStorage:", e);
+    }
+    return engineConcurrency[engineType] || 1;
+}
+
+// Queue a generation job for an engine; runs immediately if the engine has a free slot
+export function scheduleGeneration(engineType, requestId, run, options = {}) {
+    const job = createGenerationJob(requestId, options);
+    activeJobs.set(requestId, job);
+
+    if (!engineSlots.has(engineType)) {
+        engineSlots.set(engineType, { running: 0, queue: [] });
+    }
+    const slots = engineSlots.get(engineType);
+    slots.queue.push({ job, run });
+
+    if (slots.running >= getEngineConcurrency(engineType)) {
+        console.log(`${engineType} busy (${slots.running} running), queued request ${requestId} at position ${slots.queue.length}`);
+    }
+
+    drainEngineQueue(engineType);
+    return job;
+}
+
+function drainEngineQueue(engineType) {
+    const slots = engineSlots.get(engineType);
+
+    while (slots.running < getEngineConcurrency(engineType) && slots.queue.length > 0) {
+        const { job, run } = slots.queue.shift();
+
+        // Stopped while waiting in the queue, nothing to run
+        if (job.stopped) {
+            activeJobs.delete(job.requestId);
+            continue;
+        }
+
+        slots.running++;
+        Promise.resolve()
+            .then(() => run(job))
+            .then(() => {
+                // Engines that exit without finishing (e.g. after a stop sequence cut the stream) still owe a done
+                if (!job.finished && !job.stopped) onFinish(job, "");
+            })
+            .catch((error) => {
+                console.error(`Generation for request ${job.requestId} failed:`, error);
+                emitGenerationError(job, 500, `Generation failed: ${error.message}`, 'engine_error');
+            })
+            .finally(() => {
+                slots.running--;
+                activeJobs.delete(job.requestId);
+                drainEngineQueue(engineType);
+            });
+    }
+}
+
+// Send a chunk back to the server, tagged with the request it belongs to and its sequence number
+export function emitMessage(requestId, content) {
+    const job = activeJobs.get(requestId);
+    const seq = job ? ++job.chunkCount : undefined;
+    window.socket.emit('message', { requestId, content, seq });
+}
+
+// Send tool call deltas (OpenAI format, with index) back to the server
+export function emitToolCalls(job, toolCalls) {
+    if (job.finished || !toolCalls || toolCalls.length === 0) return;
+    job.finishReason = 'tool_calls';
+    window.socket.emit('tool_calls', { requestId: job.requestId, tool_calls: toolCalls, seq: ++job.chunkCount });
+}
+
+// Send complete tool calls (from Gemini or emulation), numbering them after any already sent
+function emitCompleteToolCalls(job, calls) {
+    emitToolCalls(job, calls.map(call => ({
+        index: job.toolCallCount++,
+        id: call.id || createToolCallId(),
+        type: 'function',
+        function: call.function
+    })));
+}
+
+// Fail a request with an error the server relays to the API client instead of content.
+// Without a statusCode the server derives one from upstream ({ status, code, body } of the engine API's error)
+export function emitGenerationError(job, statusCode, message, type, upstream) {
+    if (job.finished || job.stopped) return;
+    job.finished = true;
+    job.currentGeneration = null;
+    window.socket.emit('generation_error', { requestId: job.requestId, statusCode, message, type, upstream });
+}
+
+// Fail a request because the engine API answered with an error status
+function emitUpstreamError(job, engineName, status, body) {
+    let upstreamBody = body ? body.substring(0, UPSTREAM_BODY_LIMIT) : null;
+    let code = null;
+    let detail = null;
+    try {
+        upstreamBody = JSON.parse(body);
+        // OpenAI-style { error: { message, code } } and Gemini's { error: { message, status } }
+        const error = upstreamBody?.error;
+        if (error && typeof error === "object") {
+            code = typeof error.code === "string" ? error.code : error.status || error.type || null;
+            detail = error.message || null;
+        } else if (typeof error === "string") {
+            detail = error;
+        }
+    } catch {
+        // not JSON, pass the text on
+    }
+
+    emitGenerationError(job, null, `${engineName} API error (${status})${detail ? `: ${detail}` : ""}`, 'upstream_error', {
+        status,
+        code,
+        body: upstreamBody
+    });
+}
+
+// Tell the server which model is answering; sent before the first chunk so every chunk can carry it
+export function reportModel(job, model) {
+    if (!model || job.model === model) return;
+    job.model = model;
+    window.socket.emit('generation_meta', { requestId: job.requestId, model });
+}
+
+// Rough token estimate (~4 characters per token) for engines that don't report usage
+export function estimateTokens(text) {
+    return text ? Math.ceil(text.length / 4) : 0;
+}
+
+// Remember the prompt size for usage reporting
+export function trackPrompt(job, messages) {
+    job.promptTokens = messages.reduce((sum, msg) => sum + estimateTokens(typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)), 0);
+}
+
+// Map upstream finish reasons (OpenAI or Gemini style) to OpenAI's stop / length / content_filter
+export function recordFinishReason(job, reason) {
+    if (!reason) return;
+    const normalized = String(reason).toLowerCase();
+
+    if (normalized === 'length' || normalized === 'max_tokens') {
+        job.finishReason = 'length';
+    } else if (normalized === 'tool_calls' || normalized === 'function_call') {
+        job.finishReason = 'tool_calls';
+    } else if (['content_filter', 'safety', 'recitation', 'blocklist', 'prohibited_content', 'spii'].includes(normalized)) {
+        job.finishReason = 'content_filter';
+    } else if (!job.finishReason) {
+        job.finishReason = 'stop';
+    }
+}
 
-// Reset generation flags
-export function resetGenerationState() {
-    genned = "";
-    inThinkingMode = false;
-    hasShownThinking = false;
-    currentGeneration = null;
-    generationStopped = false;
+// Keep upstream token usage when the API reports it (OpenAI usage or Gemini usageMetadata)
+export function recordUsage(job, usage) {
+    if (!usage) return;
+
+    if (usage.promptTokenCount !== undefined || usage.candidatesTokenCount !== undefined) {
+        const prompt = usage.promptTokenCount || 0;
+        const completion = usage.candidatesTokenCount || 0;
+        job.usage = { prompt_tokens: prompt, completion_tokens: completion, total_tokens: usage.totalTokenCount || prompt + completion };
+    } else if (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined) {
+        const prompt = usage.prompt_tokens || 0;
+        const completion = usage.completion_tokens || 0;
+        job.usage = { prompt_tokens: prompt, completion_tokens: completion, total_tokens: usage.total_tokens || prompt + completion };
+    }
 }
 
 
@@ -142,95 +360,316 @@ ALWAYS USE THE FULL MODEL NAME. OTHERWISE YOU WILL CAUSE A ERROR, GOOFY.
     }
 }
 
-// Handle message emission with thinking mode support
-export function handleEmit(chunk) {
+// Length of the longest tail of text that is the start of one of the sequences
+function partialMatchLength(text, sequences) {
+    let hold = 0;
+    for (const seq of sequences) {
+        for (let length = Math.min(seq.length - 1, text.length); length > hold; length--) {
+            if (text.endsWith(seq.slice(0, length))) {
+                hold = length;
+                break;
+            }
+        }
+    }
+    return hold;
+}
+
+// Cut the stream at the first stop sequence, even when it spans chunk boundaries.
+// Returns { text, matched }: text is safe to emit, anything that might start a stop sequence is held back;
+// matched is the stop sequence that was hit, or null
+function applyStopSequences(job, chunk) {
+    const text = job.stopBuffer + chunk;
+
+    let cut = -1;
+    let matched = null;
+    for (const seq of job.stopSequences) {
+        const index = text.indexOf(seq);
+        if (index !== -1 && (cut === -1 || index < cut)) {
+            cut = index;
+            matched = seq;
+        }
+    }
+    if (cut !== -1) {
+        job.stopBuffer = "";
+        return { text: text.slice(0, cut), matched };
+    }
+
+    // Hold back the longest tail that is a prefix of some stop sequence
+    const hold = partialMatchLength(text, job.stopSequences);
+    job.stopBuffer = text.slice(text.length - hold);
+    return { text: text.slice(0, text.length - hold), matched: null };
+}
+
+// Handle message emission, enforcing stop sequences for engines that don't support them natively
+export function handleEmit(job, chunk) {
+    // A stop sequence already ended this job; drop whatever the engine still sends
+    if (job.finished || !chunk) return;
+
+    // JSON output is only sent once it validates
+    if (job.jsonRepair) {
+        job.jsonBuffer += chunk;
+        return;
+    }
+
+    if (job.stopSequences.length === 0) {
+        emitContent(job, chunk);
+        return;
+    }
+
+    const { text, matched } = applyStopSequences(job, chunk);
+    emitContent(job, text);
+
+    if (matched) {
+        console.log(`Stop sequence hit for request ${job.requestId}, ending generation`);
+        job.finishReason = 'stop';
+        job.stopSequence = matched;
+        onFinish(job, "");
+    }
+}
+
+// Divert emulated tool call blocks away from the content stream
+function emitContent(job, text) {
+    if (!job.emulateTools) {
+        emitProcessed(job, text);
+        return;
+    }
+
+    // Everything after the opening tag belongs to the tool call(s)
+    if (job.capturingTool) {
+        job.toolBuffer += text;
+        return;
+    }
+
+    const combined = job.toolBuffer + text;
+    const start = combined.indexOf(TOOL_CALL_OPEN);
+    if (start !== -1) {
+        emitProcessed(job, combined.slice(0, start));
+        job.capturingTool = true;
+        job.toolBuffer = combined.slice(start);
+        return;
+    }
+
+    const hold = partialMatchLength(combined, [TOOL_CALL_OPEN]);
+    job.toolBuffer = combined.slice(combined.length - hold);
+    emitProcessed(job, combined.slice(0, combined.length - hold));
+}
+
+// Turn captured emulation output into tool calls, or give it back as text if it didn't parse
+function flushToolBuffer(job) {
+    if (!job.toolBuffer) return;
+
+    const calls = job.capturingTool ? parseToolCallBlocks(job.toolBuffer) : null;
+    if (calls) {
+        emitCompleteToolCalls(job, calls);
+    } else {
+        emitProcessed(job, job.toolBuffer);
+    }
+    job.toolBuffer = "";
+    job.capturingTool = false;
+}
+
+// Engines without native tool support get the tools through the system prompt and tool messages as text
+function prepareToolEmulation(job, messages) {
+    messages = flattenToolMessages(messages);
+    if (job.tools.length === 0 || job.toolChoice === "none") return messages;
+
+    job.emulateTools = true;
+    return addSystemInstruction(messages, buildToolPrompt(job.tools, job.toolChoice));
+}
+
+// Append an instruction to the system prompt, adding one if the conversation has none
+function addSystemInstruction(messages, instruction) {
+    messages = [...messages];
+    if (messages[0]?.role === "system") {
+        messages[0] = { ...messages[0], content: messages[0].content + "\n\n" + instruction };
+    } else {
+        messages.unshift({ role: "system", content: instruction });
+    }
+    return messages;
+}
+
+// Emit a chunk with thinking mode support
+function emitProcessed(job, chunk) {
     let showreasoning = document.getElementById("show-reasoning").checked;
     if (chunk) {
-        genned += chunk;
+        job.genned += chunk;
 
         if (!showreasoning) {
             if (chunk.includes("<think>")) {
                 // Emit any content before the <think> tag
                 let beforeThink = chunk.split("<think>")[0];
                 if (beforeThink && beforeThink.trim()) {
-                    window.socket.emit('message', beforeThink);
+                    emitMessage(job.requestId, beforeThink);
                 }
 
-                inThinkingMode = true;
-                hasShownThinking = false;
-                if (!hasShownThinking) {
-                    window.socket.emit('message', "Thinking");
-                    hasShownThinking = true;
+                job.inThinkingMode = true;
+                job.hasShownThinking = false;
+                if (!job.hasShownThinking) {
+                    emitMessage(job.requestId, "Thinking");
+                    job.hasShownThinking = true;
                 }
                 return;
             }
 
             if (chunk.includes("</think>")) {
-                inThinkingMode = false;
-                hasShownThinking = false;
-                window.socket.emit('message', ".");
+                job.inThinkingMode = false;
+                job.hasShownThinking = false;
+                emitMessage(job.requestId, ".");
 
                 let afterThink = chunk.split("</think>")[1];
                 if (afterThink && afterThink.trim()) {
-                    window.socket.emit('message', afterThink);
+                    emitMessage(job.requestId, afterThink);
                 }
                 return;
             }
 
-            if (inThinkingMode) {
-                if (chunk.includes(".") || genned.length % 50 === 0) {
-                    window.socket.emit('message', ".");
+            if (job.inThinkingMode) {
+                if (chunk.includes(".") || job.genned.length % 50 === 0) {
+                    emitMessage(job.requestId, ".");
                 }
                 return;
             }
 
-            window.socket.emit('message', chunk);
+            emitMessage(job.requestId, chunk);
         } else {
-            window.socket.emit('message', chunk);
+            emitMessage(job.requestId, chunk);
         }
     }
 }
 
 // Called when generation finishes
-export function onFinish(finalMessage) {
-    if (!generationStopped) {
+export function onFinish(job, finalMessage) {
+    // A JSON repair attempt ended; generateJsonWithRepair decides what happens next
+    if (job.finished || job.jsonRepair) return;
+
+    // Text held back while checking for a stop sequence turned out to be content
+    if (job.stopBuffer) {
+        emitContent(job, job.stopBuffer);
+        job.stopBuffer = "";
+    }
+    if (!job.stopped) flushToolBuffer(job);
+    job.finished = true;
+
+    if (!job.stopped) {
         console.log("Generation finished:", finalMessage);
-        window.socket.emit('done');
+
+        const completionTokens = estimateTokens(job.genned);
+        // The server closes the response once it has relayed chunk_count chunks
+        window.socket.emit('done', {
+            requestId: job.requestId,
+            seq: job.chunkCount + 1,
+            chunk_count: job.chunkCount,
+            finish_reason: job.finishReason || 'stop',
+            // Only known when handleEmit cut the output; engines that stop natively don't say which sequence it was
+            stop_sequence: job.stopSequence,
+            model: job.model,
+            usage: job.usage || {
+                prompt_tokens: job.promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: job.promptTokens + completionTokens
+            }
+        });
+    }
+    job.currentGeneration = null;
+}
+
+// Whether an engine needs generateJsonWithRepair to honor the job's response_format
+export function needsJsonRepair(job, engineType) {
+    if (!job.responseFormat) return false;
+    if (engineType === "WebLLM (Local AI)") return false; // JSON grammar mode
+    if (engineType === "Custom Engine") {
+        const type = window.customEngineConfig?.type;
+        return type !== "openai" && type !== "gemini";
+    }
+    return true;
+}
+
+// Engines without a native JSON mode: collect the output, validate it against the response_format
+// and ask the model to correct it until it passes or we run out of attempts
+export async function generateJsonWithRepair(job, messages, generate) {
+    let attemptMessages = addSystemInstruction(messages, buildJsonPrompt(job.responseFormat));
+    let lastError = null;
+
+    job.jsonRepair = true;
+    try {
+        for (let attempt = 1; attempt <= JSON_REPAIR_ATTEMPTS; attempt++) {
+            job.jsonBuffer = "";
+            // Engines edit the messages they get (prompt prefixes), so each attempt gets its own copy
+            await generate(structuredClone(attemptMessages));
+            if (job.stopped || job.finished) return;
+
+            const result = validateJsonOutput(job.jsonBuffer, job.responseFormat);
+            if (result.valid) {
+                job.jsonRepair = false;
+                emitProcessed(job, result.text);
+                onFinish(job, "");
+                return;
+            }
+
+            lastError = result.error;
+            console.warn(`JSON attempt ${attempt}/${JSON_REPAIR_ATTEMPTS} for request ${job.requestId} failed: ${lastError}`);
+            attemptMessages = [
+                ...attemptMessages,
+                { role: "assistant", content: job.jsonBuffer },
+                { role: "user", content: `That reply cannot be used because ${lastError}. Reply again with only the corrected JSON.` }
+            ];
+        }
+    } finally {
+        job.jsonRepair = false;
     }
-    currentGeneration = null;
-    generationStopped = false;
+
+    emitGenerationError(job, 502, `The model did not produce valid JSON after ${JSON_REPAIR_ATTEMPTS} attempts: ${lastError}`, 'json_validation_error');
 }
 
-// Stop generation
-export function stopGeneration() {
-    if (generationStopped) {
+// Stop one generation by requestId, or every generation when no id is given
+export function stopGeneration(requestId = null) {
+    if (!requestId) {
+        for (const id of Array.from(activeJobs.keys())) {
+            stopGeneration(id);
+        }
+        return;
+    }
+
+    const job = activeJobs.get(requestId);
+    if (!job) {
+        console.log(`No generation found for request ${requestId}, ignoring stop request`);
+        return;
+    }
+
+    if (job.stopped) {
         console.log("Generation already stopped, ignoring duplicate stop request");
         return;
     }
 
-    console.log("Stopping generation...");
-    generationStopped = true;
+    console.log(`Stopping generation for request ${requestId}...`);
+    job.stopped = true;
 
-    inThinkingMode = false;
-    hasShownThinking = false;
-    genned = "";
+    job.inThinkingMode = false;
+    job.hasShownThinking = false;
+    job.genned = "";
 
-    if (currentGeneration) {
+    if (job.currentGeneration) {
         try {
-            if (currentGeneration.abort) {
-                currentGeneration.abort();
-            } else if (currentGeneration.cancel) {
-                currentGeneration.cancel();
+            if (job.currentGeneration.abort) {
+                job.currentGeneration.abort();
+            } else if (job.currentGeneration.cancel) {
+                job.currentGeneration.cancel();
             }
         } catch (error) {
             console.log("Error stopping generation:", error);
         }
     }
 
-    currentGeneration = null;
+    job.currentGeneration = null;
     console.log("Generation stopped");
 }
 
+// Whether a request still has a live (queued or running) generation
+export function isGenerationActive(requestId) {
+    const job = activeJobs.get(requestId);
+    return !!job && !job.stopped;
+}
+
 // Preprocess messages before sending to AI
 export function preprocessMessages(messages, pollinations = false, yuzu = false, overridePrompt = null) {
     let imagemd = document.getElementById("enable-images-checkbox").checked;
@@ -262,8 +701,15 @@ export function preprocessMessages(messages, pollinations = false, yuzu = false,
     return messages;
 }
 
-export async function streamingGeneratingYuzuAuto(messages, settings = {}) {
-    if (generationStopped) return;
+export async function streamingGeneratingYuzuAuto(job, messages, settings = {}) {
+    if (job.stopped) return;
+
+    // An explicitly requested model skips the router
+    if (job.requestedModel) {
+        console.log("Yuzu AUTO using requested model:", job.requestedModel);
+        await streamingGeneratingYuzu(job, messages, settings, job.requestedModel);
+        return;
+    }
 
     // hand messages over to router
     const routerResult = await router(messages, yuzuClient);
@@ -273,11 +719,11 @@ export async function streamingGeneratingYuzuAuto(messages, settings = {}) {
 
     // Pass both the model and prompt to streamingGeneratingYuzu
     try {
-        await streamingGeneratingYuzu(messages, settings, routerResult.model, routerResult.prompt);
+        await streamingGeneratingYuzu(job, messages, settings, routerResult.model, routerResult.prompt);
     }
     catch(error){
         console.error("Yuzu AUTO fallback due to error:", error);
-        await streamingGeneratingYuzu(messages, settings, "google/gemma-2-9b-its", "none");
+        await streamingGeneratingYuzu(job, messages, settings, "google/gemma-2-9b-its", "none");
     }
 }
 
@@ -309,160 +755,203 @@ export async function generateResponseYuzuAuto(messages, settings = {}) {
 }
 
 // WebLLM generation
-export async function streamingGenerating(messages, engine, settings = {}) {
-    if (generationStopped) return;
+export async function streamingGenerating(job, messages, engine, settings = {}) {
+    if (job.stopped) return;
 
-    messages = preprocessMessages(messages);
+    // Legacy text completions go to the model as-is, without the chat template or prompt presets
+    const rawPrompt = job.rawPrompt;
+    if (rawPrompt !== null) {
+        trackPrompt(job, [{ content: rawPrompt }]);
+    } else {
+        messages = prepareToolEmulation(job, preprocessMessages(messages));
+        trackPrompt(job, messages);
+    }
+
+    // getEngineConcurrency pins WebLLM to one job at a time, so no other job is using the model we switch away from
+    if (job.requestedModel && job.requestedModel !== window.webllmLoadedModel) {
+        console.log(`WebLLM switching model from ${window.webllmLoadedModel} to ${job.requestedModel}`);
+        await initializeWebLLMEngine(engine, job.requestedModel);
+    }
 
-    const completion = await engine.chat.completions.create({
+    const sampling = {
         stream: true,
+        stream_options: { include_usage: true },
         max_tokens: settings.max_tokens || 26000,
         temperature: settings.temperature !== undefined ? settings.temperature : 0.7,
         top_p: settings.top_p !== undefined ? settings.top_p : 1,
         frequency_penalty: settings.frequency_penalty || 0,
         presence_penalty: settings.presence_penalty || 0,
         repetition_penalty: settings.repetition_penalty || 1,
-        messages,
-    });
+        stop: settings.stop
+    };
+
+    const completion = rawPrompt !== null
+        ? await engine.completions.create({ ...sampling, prompt: rawPrompt })
+        : await engine.chat.completions.create({
+            ...sampling,
+            response_format: job.responseFormat ? {
+                type: "json_object",
+                schema: getResponseSchema(job.responseFormat) ? JSON.stringify(getResponseSchema(job.responseFormat)) : undefined
+            } : undefined,
+            messages,
+        });
 
-    currentGeneration = completion;
+    job.currentGeneration = completion;
 
     for await (const chunk of completion) {
-        if (generationStopped) {
+        if (job.stopped) {
             console.log("WebLLM generation stopped");
             break;
         }
+        if (job.finished) {
+            // Ended early by a stop sequence
+            engine.interruptGenerate();
+            break;
+        }
+
+        reportModel(job, chunk.model);
+        recordFinishReason(job, chunk.choices[0]?.finish_reason);
+        recordUsage(job, chunk.usage);
 
-        const content = chunk.choices[0]?.delta?.content;
+        const content = rawPrompt !== null ? chunk.choices[0]?.text : chunk.choices[0]?.delta?.content;
         if (content !== undefined && content !== null) {
-            handleEmit(content);
+            handleEmit(job, content);
             console.log("Sent chunk | Delta data: " + content);
         }
     }
-    onFinish("");
+    onFinish(job, "");
 }
 
 // Yuzu generation
-export async function streamingGeneratingYuzu(messages, settings = {}, overrideModel = null, overridePrompt = null) {
-    if (generationStopped) return;
+export async function streamingGeneratingYuzu(job, messages, settings = {}, overrideModel = null, overridePrompt = null) {
+    if (job.stopped) return;
 
-    messages = preprocessMessages(messages, false, true, overridePrompt);
+    messages = prepareToolEmulation(job, preprocessMessages(messages, false, true, overridePrompt));
+    trackPrompt(job, messages);
 
     const controller = new AbortController();
-    currentGeneration = controller;
+    job.currentGeneration = controller;
 
-    const model = overrideModel || document.getElementById("model").value;
+    const model = overrideModel || job.requestedModel || document.getElementById("model").value;
 
     console.log("Yuzu using model:", model);
+    reportModel(job, model);
     console.log("Yuzu using prompt:", overridePrompt || "default");
 
     let chunk_count = 0;
     let inReasoning = false;
 
     await yuzuClient.generateStreaming(messages, (chunk) => {
-        if (generationStopped) {
+        if (job.stopped) {
             if (document.getElementById("show-router").checked) {
 
                 // one last chunk for the road ahh
-                handleEmit("\n\n" + routerResult["model"] + "\n" + routerResult["prompt"]);
+                handleEmit(job, "\n\n" + routerResult["model"] + "\n" + routerResult["prompt"]);
             
             }
             console.log("Yuzu generation stopped");
             return;
         }
 
+        recordFinishReason(job, chunk?.choices?.[0]?.finish_reason);
+        recordUsage(job, chunk?.usage);
+
         if (chunk && chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content) {
             const content = chunk.choices[0].delta.content;
             const reasoning_data = chunk.choices[0].reasoning_content;
             if (reasoning_data != null && content == null) {
                 if (chunk_count == 0) {
-                    handleEmit("<think>");
+                    handleEmit(job, "<think>");
                     inReasoning = true;
                 }
                 chunk_count += 1;
-                handleEmit(reasoning_data);
+                handleEmit(job, reasoning_data);
                 console.log("Yuzu Sent reasoning chunk | Delta data: " + reasoning_data);
             }
             else {
                 if (inReasoning) {
-                    handleEmit("</think>");
+                    handleEmit(job, "</think>");
                     inReasoning = false;
                 }
-                handleEmit(content);
+                handleEmit(job, content);
                 console.log("Yuzu Sent chunk | Delta data: " + content);
             }
         }
     }, model, settings);
 
-    onFinish("");
+    onFinish(job, "");
 }
 
 // Hyper generation
-export async function streamingGeneratingHyper(messages, hyperInstance, settings = {}) {
-    if (generationStopped) return;
+export async function streamingGeneratingHyper(job, messages, hyperInstance, settings = {}) {
+    if (job.stopped) return;
 
     if (!hyperInstance) {
-        handleEmit("\n\n[Error: Hyper engine not initialized. Please select Hyper (Auto) engine first.]");
-        onFinish("");
+        emitGenerationError(job, 503, "Hyper engine not initialized. Please select Hyper (Auto) engine first.", 'engine_error');
         return;
     }
 
-    messages = preprocessMessages(messages, false, true);
+    messages = prepareToolEmulation(job, preprocessMessages(messages, false, true));
+    trackPrompt(job, messages);
 
     const controller = new AbortController();
-    currentGeneration = controller;
+    job.currentGeneration = controller;
 
     try {
         const availableModels = hyperInstance.getAvailableModels();
-        const selectedModel = availableModels.length > 0 ? availableModels[0] : hyperInstance.current_best_model;
+        const selectedModel = job.requestedModel || (availableModels.length > 0 ? availableModels[0] : hyperInstance.current_best_model);
 
+        // The model goes out as generation_meta only; a banner in the content would break JSON repair and tool parsing
         if (selectedModel) {
-            handleEmit(`[Using model: ${selectedModel}]\n\n`);
+            reportModel(job, selectedModel);
             console.log(`Hyper using model: ${selectedModel}`);
         } else {
-            handleEmit("[Warning: No model selected, attempting generation...]\n\n");
+            console.warn("Hyper has no model selected, attempting generation anyway");
         }
 
         let isFirstChunk = true;
 
-        await hyperInstance.generateResponse(messages, true, (chunk) => {
-            if (generationStopped) {
+        await hyperInstance.generateResponse(messages, true, (chunk, usedModel) => {
+            if (job.stopped) {
                 console.log("Hyper generation stopped");
                 return;
             }
 
             if (chunk) {
                 if (isFirstChunk) {
-                    const actualModel = hyperInstance.current_best_model;
+                    const actualModel = usedModel || hyperInstance.current_best_model;
                     console.log(`Hyper successfully using model: ${actualModel}`);
+                    reportModel(job, actualModel);
                     isFirstChunk = false;
                 }
 
-                handleEmit(chunk);
+                handleEmit(job, chunk);
                 console.log("Hyper Sent chunk | Delta data: " + chunk);
             }
-        });
+        }, job.requestedModel);
 
-        onFinish("");
+        onFinish(job, "");
     } catch (error) {
         console.error("Hyper streaming error:", error);
         console.error("Current Hyper model selection:", hyperInstance.current_best_model);
         console.error("Hyper model statuses:", hyperInstance.status_models);
-        handleEmit("\n\n[Error: Failed to generate response with Hyper engine]");
-        onFinish("");
+        emitGenerationError(job, 502, `Failed to generate response with Hyper engine: ${error.message}`, 'upstream_error');
     }
 }
 
 // Pollinations generation
-export async function streamingGeneratingPollinations(messages, settings = {}) {
-    if (generationStopped) return;
+export async function streamingGeneratingPollinations(job, messages, settings = {}) {
+    if (job.stopped) return;
     const wantsNonStream = document.getElementById('non-stream-response') ? document.getElementById('non-stream-response').checked : false;
 
     messages = preprocessMessages(messages, true);
+    trackPrompt(job, messages);
     const endpoint = "https://text.pollinations.ai/openai";
+    const model = job.requestedModel || document.getElementById("model").value;
+    reportModel(job, model);
 
     const controller = new AbortController();
-    currentGeneration = controller;
+    job.currentGeneration = controller;
 
     const response = await fetch(endpoint, {
         method: 'POST',
@@ -471,31 +960,39 @@ export async function streamingGeneratingPollinations(messages, settings = {}) {
         },
         body: JSON.stringify({
             messages: messages,
-            model: document.getElementById("model").value,
+            model: model,
             max_tokens: settings.max_tokens || 26000,
             temperature: settings.temperature !== undefined ? settings.temperature : 0.7,
             top_p: settings.top_p !== undefined ? settings.top_p : 1,
             frequency_penalty: settings.frequency_penalty || 0,
             presence_penalty: settings.presence_penalty || 0,
+            stop: settings.stop,
+            tools: job.tools.length > 0 ? job.tools : undefined,
+            tool_choice: job.tools.length > 0 ? job.toolChoice || undefined : undefined,
             stream: wantsNonStream ? false : true,
             non_stream: wantsNonStream ? true : undefined
         }),
         signal: controller.signal
     });
 
+    if (!response.ok) {
+        emitUpstreamError(job, "Pollinations", response.status, await response.text());
+        return;
+    }
+
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
 
     while (true) {
-        if (generationStopped) {
+        if (job.stopped || job.finished) {
             reader.cancel();
             break;
         }
 
         const { done, value } = await reader.read();
         if (done) {
-            onFinish("");
+            onFinish(job, "");
             break;
         }
         buffer += decoder.decode(value, { stream: true });
@@ -509,14 +1006,14 @@ export async function streamingGeneratingPollinations(messages, settings = {}) {
         }
 
         for (const message of messages) {
-            if (generationStopped) break;
+            if (job.stopped || job.finished) break;
 
             const lines = message.split('\n');
             for (const line of lines) {
                 if (line.startsWith('data: ')) {
                     const data = line.slice(6).trim();
                     if (data === '[DONE]') {
-                        onFinish("");
+                        onFinish(job, "");
                         return;
                     }
 
@@ -530,11 +1027,15 @@ export async function streamingGeneratingPollinations(messages, settings = {}) {
                             continue;
                         }
 
+                        recordFinishReason(job, parsed.choices[0]?.finish_reason);
+                        recordUsage(job, parsed.usage);
+
                         const content = parsed.choices[0]?.delta?.content;
                         if (content !== undefined && content !== null) {
-                            handleEmit(content);
+                            handleEmit(job, content);
                             console.log("Pollinations Sent chunk | Delta data: " + content);
                         }
+                        emitToolCalls(job, parsed.choices[0]?.delta?.tool_calls);
                     } catch (e) {
                         console.error('Error parsing chunk:', e, 'Raw data:', data);
 
@@ -543,7 +1044,7 @@ export async function streamingGeneratingPollinations(messages, settings = {}) {
                                 const match = data.match(/"content":"([^"]*)"?/);
                                 if (match && match[1]) {
                                     console.info('Recovered partial content:', match[1]);
-                                    handleEmit(match[1]);
+                                    handleEmit(job, match[1]);
                                 }
                             } catch (recoveryError) {
                                 console.error('Failed to recover content from malformed data');
@@ -557,8 +1058,8 @@ export async function streamingGeneratingPollinations(messages, settings = {}) {
 }
 
 // Custom engine generation
-export async function streamingGeneratingCustomEngine(messages, customEngineConfig, settings = {}) {
-    if (generationStopped) return;
+export async function streamingGeneratingCustomEngine(job, messages, customEngineConfig, settings = {}) {
+    if (job.stopped) return;
 
     messages = preprocessMessages(messages);
 
@@ -566,31 +1067,30 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
     const selectedEngine = document.getElementById("engine")?.value;
     if (selectedEngine !== "Custom Engine") {
         console.error('Custom engine generation called but not selected');
-        window.socket.emit('message', 'Error: Custom engine was triggered but is not selected. Please refresh the page.');
-        onFinish("");
+        emitGenerationError(job, 503, 'Custom engine was triggered but is not selected. Please refresh the page.', 'engine_error');
         return;
     }
 
     if (!customEngineConfig.endpoint) {
         console.error('Custom engine endpoint not configured');
         console.error('Current config:', customEngineConfig);
-        window.socket.emit('message', 'Error: Custom engine endpoint not configured. Please enter your API endpoint URL in the Custom Engine Configuration section and click "Save Configuration".');
-        onFinish("");
+        emitGenerationError(job, 503, 'Custom engine endpoint not configured. Please enter your API endpoint URL in the Custom Engine Configuration section and click "Save Configuration".', 'engine_error');
         return;
     }
 
     if (!customEngineConfig.model) {
         console.error('Custom engine model not configured');
         console.error('Current config:', customEngineConfig);
-        window.socket.emit('message', 'Error: Custom engine model not configured. Please enter your model name in the Custom Engine Configuration section and click "Save Configuration".');
-        onFinish("");
+        emitGenerationError(job, 503, 'Custom engine model not configured. Please enter your model name in the Custom Engine Configuration section and click "Save Configuration".', 'engine_error');
         return;
     }
 
     console.log('Custom engine config being used:', customEngineConfig);
+    trackPrompt(job, messages);
+    reportModel(job, customEngineConfig.model);
 
     const controller = new AbortController();
-    currentGeneration = controller;
+    job.currentGeneration = controller;
 
     try {
         let requestBody;
@@ -602,7 +1102,28 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
         // Build request based on engine type
         const wantsNonStream = document.getElementById('non-stream-response') ? document.getElementById('non-stream-response').checked : false;
 
-        if (customEngineConfig.type === 'openai') {
+        // Legacy text completions use the sibling /completions endpoint when the configured one is /chat/completions
+        const rawCompletion = customEngineConfig.type === 'openai' && job.rawPrompt !== null && /\/chat\/completions\/?$/.test(endpoint);
+
+        if (rawCompletion) {
+            endpoint = endpoint.replace(/\/chat\/completions\/?$/, '/completions');
+            requestBody = {
+                model: customEngineConfig.model || document.getElementById("model").value,
+                prompt: job.rawPrompt,
+                stream: wantsNonStream ? false : true,
+                max_tokens: settings.max_tokens || 26000,
+                temperature: settings.temperature !== undefined ? settings.temperature : 0.7,
+                top_p: settings.top_p !== undefined ? settings.top_p : 1,
+                frequency_penalty: settings.frequency_penalty || 0,
+                presence_penalty: settings.presence_penalty || 0,
+                stop: settings.stop
+            };
+
+            if (customEngineConfig.apiKey) {
+                headers['Authorization'] = `Bearer ${customEngineConfig.apiKey}`;
+            }
+
+        } else if (customEngineConfig.type === 'openai') {
             requestBody = {
                 model: customEngineConfig.model || document.getElementById("model").value,
                 messages: messages,
@@ -612,9 +1133,18 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
                 temperature: settings.temperature !== undefined ? settings.temperature : 0.7,
                 top_p: settings.top_p !== undefined ? settings.top_p : 1,
                 frequency_penalty: settings.frequency_penalty || 0,
-                presence_penalty: settings.presence_penalty || 0
+                presence_penalty: settings.presence_penalty || 0,
+                stop: settings.stop
             };
 
+            if (job.tools.length > 0) {
+                requestBody.tools = job.tools;
+                if (job.toolChoice) requestBody.tool_choice = job.toolChoice;
+            }
+            if (job.responseFormat) {
+                requestBody.response_format = job.responseFormat;
+            }
+
             if (customEngineConfig.apiKey) {
                 headers['Authorization'] = `Bearer ${customEngineConfig.apiKey}`;
             }
@@ -622,9 +1152,20 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
         } else if (customEngineConfig.type === 'gemini') {
             const geminiContents = [];
             let systemPrompt = '';
+            const toolNames = {}; // tool_call_id -> function name, for functionResponse parts
 
             for (const msg of messages) {
-                if (msg.role === 'system') {
+                if (msg.role === 'tool') {
+                    geminiContents.push({
+                        role: 'user',
+                        parts: toGeminiToolParts(msg, toolNames)
+                    });
+                } else if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+                    geminiContents.push({
+                        role: 'model',
+                        parts: toGeminiToolParts(msg, toolNames)
+                    });
+                } else if (msg.role === 'system') {
                     systemPrompt += msg.content + '\n';
                 } else if (msg.role === 'user') {
                     const userContent = systemPrompt ? systemPrompt + msg.content : msg.content;
@@ -652,10 +1193,21 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
                 generationConfig: {
                     temperature: settings.temperature !== undefined ? settings.temperature : 0.7,
                     maxOutputTokens: settings.max_tokens || 26000,
-                    topP: settings.top_p !== undefined ? settings.top_p : 1
+                    topP: settings.top_p !== undefined ? settings.top_p : 1,
+                    stopSequences: settings.stop ? settings.stop.slice(0, 5) : undefined
                 }
             };
 
+            if (job.tools.length > 0) {
+                requestBody.tools = toGeminiTools(job.tools);
+                requestBody.toolConfig = toGeminiToolConfig(job.toolChoice);
+            }
+            if (job.responseFormat) {
+                requestBody.generationConfig.responseMimeType = 'application/json';
+                const schema = getResponseSchema(job.responseFormat);
+                if (schema) requestBody.generationConfig.responseSchema = toGeminiSchema(schema);
+            }
+
             // For Gemini, the API key can be in header or query param
             // Standard Google AI Studio uses query parameter format
             if (customEngineConfig.apiKey) {
@@ -669,6 +1221,7 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
             }
 
         } else {
+            messages = prepareToolEmulation(job, messages);
             requestBody = {
                 model: customEngineConfig.model || document.getElementById("model").value,
                 messages: messages,
@@ -700,18 +1253,7 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
             console.error('  Engine Type:', customEngineConfig.type);
             console.error('  Response body:', errorBody);
 
-            let errorMessage = `Custom engine API error (${response.status}): ${response.statusText}`;
-            if (errorBody) {
-                try {
-                    const errorJson = JSON.parse(errorBody);
-                    errorMessage += `\n${JSON.stringify(errorJson, null, 2)}`;
-                } catch {
-                    errorMessage += `\n${errorBody.substring(0, 200)}`;
-                }
-            }
-
-            window.socket.emit('message', errorMessage);
-            onFinish("");
+            emitUpstreamError(job, "Custom engine", response.status, errorBody);
             return;
         }
 
@@ -720,14 +1262,14 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
         let buffer = '';
 
         while (true) {
-            if (generationStopped) {
+            if (job.stopped || job.finished) {
                 reader.cancel();
                 break;
             }
 
             const { done, value } = await reader.read();
             if (done) {
-                onFinish("");
+                onFinish(job, "");
                 break;
             }
 
@@ -736,12 +1278,12 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
             buffer = lines.pop() || '';
 
             for (const line of lines) {
-                if (generationStopped) break;
+                if (job.stopped || job.finished) break;
 
                 if (line.startsWith('data: ')) {
                     const data = line.slice(6).trim();
                     if (data === '[DONE]') {
-                        onFinish("");
+                        onFinish(job, "");
                         return;
                     }
 
@@ -752,13 +1294,30 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
                         let content = null;
 
                         if (customEngineConfig.type === 'gemini') {
-                            content = parsed.candidates?.[0]?.content?.parts?.[0]?.text;
+                            const parts = parsed.candidates?.[0]?.content?.parts || [];
+                            const text = parts.filter(part => typeof part.text === 'string').map(part => part.text).join('');
+                            content = text || null;
+                            emitCompleteToolCalls(job, parts.filter(part => part.functionCall).map(part => ({
+                                function: {
+                                    name: part.functionCall.name,
+                                    arguments: JSON.stringify(part.functionCall.args || {})
+                                }
+                            })));
+                            recordFinishReason(job, parsed.candidates?.[0]?.finishReason);
+                            recordUsage(job, parsed.usageMetadata);
+                        } else if (rawCompletion) {
+                            content = parsed.choices?.[0]?.text;
+                            recordFinishReason(job, parsed.choices?.[0]?.finish_reason);
+                            recordUsage(job, parsed.usage);
                         } else {
                             content = parsed.choices?.[0]?.delta?.content;
+                            emitToolCalls(job, parsed.choices?.[0]?.delta?.tool_calls);
+                            recordFinishReason(job, parsed.choices?.[0]?.finish_reason);
+                            recordUsage(job, parsed.usage);
                         }
 
                         if (content !== undefined && content !== null) {
-                            handleEmit(content);
+                            handleEmit(job, content);
                             console.log("Custom Engine Sent chunk | Delta data: " + content);
                         }
                     } catch (e) {
@@ -770,7 +1329,6 @@ export async function streamingGeneratingCustomEngine(messages, customEngineConf
 
     } catch (error) {
         console.error('Custom engine error:', error);
-        window.socket.emit('message', `Error with custom engine: ${error.message}`);
-        onFinish("");
+        emitGenerationError(job, 502, `Error with custom engine: ${error.message}`, 'upstream_error');
     }
 }
@@ -7,12 +7,83 @@ import {
     streamingGeneratingHyper,
     streamingGeneratingCustomEngine,
     stopGeneration,
-    generationStopped
+    scheduleGeneration,
+    isGenerationActive,
+    needsJsonRepair,
+    generateJsonWithRepair
 } from './generation.js';
+import { getEngineModels, resolveRequestedModel } from './engines.js';
+import { generateWorkerSecret, getWorkerSecret, maskKey } from './utils.js';
 
 let reconnectAttempts = 0;
 let reconnectInterval = null;
 
+const supportedEngines = [
+    "WebLLM (Local AI)",
+    "Pollinations (Cloud AI)",
+    "Yuzu (Cloud AI)",
+    "Yuzu (AUTO)",
+    "Hyper (Auto)",
+    "Custom Engine"
+];
+
+// Run one generation job on the given engine; resolves when the job has finished streaming
+async function runEngine(type, job, parsedMessages, settings) {
+    // Engines without a native JSON mode get their output validated and repaired
+    if (needsJsonRepair(job, type)) {
+        await generateJsonWithRepair(job, parsedMessages, (messages) => runEngineOnce(type, job, messages, settings));
+        return;
+    }
+    await runEngineOnce(type, job, parsedMessages, settings);
+}
+
+// Donate a chat once its job has run, so the record names the model the engine actually used:
+// "auto" requests run the dropdown's model or a router's pick, which engines report through job.model
+function donateChat(donation, job) {
+    try {
+        // The worker secret lets the server link donations to this browser, so they can be deleted later
+        fetch('/donate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Worker-Secret': getWorkerSecret()
+            },
+            body: JSON.stringify({ ...donation, model: job.model || donation.model })
+        }).catch(() => {});
+    } catch (e) {
+        // Silent fail
+    }
+}
+
+async function runEngineOnce(type, job, parsedMessages, settings) {
+    if (type === "WebLLM (Local AI)") {
+        console.log('Starting WebLLM generation');
+        await streamingGenerating(job, parsedMessages, window.webllmEngine, settings);
+    } else if (type === "Pollinations (Cloud AI)") {
+        console.log('Starting Pollinations generation');
+        await streamingGeneratingPollinations(job, parsedMessages, settings);
+    } else if (type === "Yuzu (Cloud AI)") {
+        console.log('Starting Yuzu generation');
+        await streamingGeneratingYuzu(job, parsedMessages, settings);
+    } else if (type === "Yuzu (AUTO)") {
+        console.log('Starting Yuzu AUTO generation');
+        await streamingGeneratingYuzuAuto(job, parsedMessages, settings);
+    } else if (type === "Hyper (Auto)") {
+        console.log('Starting Hyper generation');
+        await streamingGeneratingHyper(job, parsedMessages, window.hyperInstance, settings);
+    } else if (type === "Custom Engine") {
+        console.log('=== CUSTOM ENGINE DEBUG ===');
+        console.log('window.customEngineConfig:', window.customEngineConfig);
+        console.log('localStorage customEngineConfig:', localStorage.getItem('customEngineConfig'));
+        console.log('Endpoint:', window.customEngineConfig.endpoint);
+        console.log('Model:', window.customEngineConfig.model);
+        console.log('Type:', window.customEngineConfig.type);
+        console.log('Has API Key:', !!window.customEngineConfig.apiKey);
+        console.log('=========================');
+        await streamingGeneratingCustomEngine(job, parsedMessages, window.customEngineConfig, settings);
+    }
+}
+
 // Connection status indicator
 export function updateConnectionStatus(connected) {
     let statusIndicator = document.getElementById('connection-status');
@@ -60,8 +131,9 @@ export function initializeSocket() {
         }
 
         window.socket = io('/socket', {
-            query: {
-                key: document.getElementById("key").innerHTML
+            // Sent in the connect packet rather than the URL, so it stays out of proxy logs
+            auth: {
+                secret: getWorkerSecret()
             },
             transports: ['websocket', 'polling'],
             upgrade: true,
@@ -99,6 +171,28 @@ export function initializeSocket() {
             }
         });
 
+        // The API keys callers should use, derived from our secret; sent on connect and after any key change
+        window.socket.on('client_keys', (data) => {
+            showClientKeys(data.keys);
+        });
+
+        // Our secret was rotated away (here or in another tab): switch to the new one, the reconnect loop picks it up.
+        // Without a pending new secret this browser starts over with a fresh one
+        window.socket.on('worker_secret_revoked', () => {
+            const next = localStorage.getItem("worker-secret-next");
+            localStorage.setItem("worker-secret", next || generateWorkerSecret());
+            localStorage.removeItem("worker-secret-next");
+            console.log('Worker secret was rotated, reconnecting with the new one');
+        });
+
+        // Usage of one key, sent after each generation it made
+        window.socket.on('key_usage', (data) => {
+            const entry = (window.clientKeys || []).find(key => key.index === data.index);
+            if (!entry) return;
+            entry.usage = data.usage;
+            renderClientKeys();
+        });
+
         window.socket.on('connect_error', (error) => {
             console.error('Socket connection error:', error.message);
             updateConnectionStatus(false);
@@ -121,9 +215,10 @@ export function initializeSocket() {
             console.error('Socket reconnection failed after all attempts');
         });
 
-        window.socket.on('start_generate', async (data) => {
-            console.log('Received start_generate signal from server');
-            const { messages, settings } = data;
+        window.socket.on('start_generate', async (data, ack) => {
+            const { requestId, messages, settings, model, tools, tool_choice, response_format, prompt } = data;
+            const respond = typeof ack === 'function' ? ack : () => {};
+            console.log(`Received start_generate signal from server (request ${requestId})`);
             let parsedMessages = JSON.parse(messages);
 
             // Log received settings
@@ -139,64 +234,67 @@ export function initializeSocket() {
                 }
             }
 
-            if (document.getElementById("donate").checked) {
-                try {
-                    fetch('/donate', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({ messages: parsedMessages })
-                    });
-                } catch (e) {
-                    // Silent fail
-                }
-            }
-
             let type = document.getElementById("engine").value;
             console.log('=== ENGINE ROUTING DEBUG ===');
             console.log('Selected engine type:', type);
+            console.log('Requested model:', model);
             console.log('Custom engine config:', window.customEngineConfig);
             console.log('=========================');
 
-            if (type === "WebLLM (Local AI)") {
-                console.log('Starting WebLLM generation');
-                streamingGenerating(parsedMessages, window.webllmEngine, settings);
-            } else if (type === "Pollinations (Cloud AI)") {
-                console.log('Starting Pollinations generation');
-                streamingGeneratingPollinations(parsedMessages, settings);
-            } else if (type === "Yuzu (Cloud AI)") {
-                console.log('Starting Yuzu generation');
-                streamingGeneratingYuzu(parsedMessages, settings);
-            } else if (type === "Yuzu (AUTO)") {
-                console.log('Starting Yuzu AUTO generation');
-                streamingGeneratingYuzuAuto(parsedMessages, settings);
-            } else if (type === "Hyper (Auto)") {
-                console.log('Starting Hyper generation');
-                streamingGeneratingHyper(parsedMessages, window.hyperInstance, settings);
-            } else if (type === "Custom Engine") {
-                console.log('=== CUSTOM ENGINE DEBUG ===');
-                console.log('window.customEngineConfig:', window.customEngineConfig);
-                console.log('localStorage customEngineConfig:', localStorage.getItem('customEngineConfig'));
-                console.log('Endpoint:', window.customEngineConfig.endpoint);
-                console.log('Model:', window.customEngineConfig.model);
-                console.log('Type:', window.customEngineConfig.type);
-                console.log('Has API Key:', !!window.customEngineConfig.apiKey);
-                console.log('=========================');
-                streamingGeneratingCustomEngine(parsedMessages, window.customEngineConfig, settings);
-            } else {
+            // Reject models this engine doesn't offer before anything is generated or donated
+            const resolved = resolveRequestedModel(model);
+            if (resolved.error) {
+                console.error(resolved.error);
+                respond({ accepted: false, statusCode: 400, message: resolved.error });
+                return;
+            }
+            respond({ accepted: true });
+
+            // Consent and preset are taken as they are now; the model once the job has run (see donateChat)
+            const donation = document.getElementById("donate").checked ? {
+                messages: parsedMessages,
+                consent_version: document.getElementById("donate").dataset.consentVersion,
+                engine: type,
+                model: resolved.model || document.getElementById("model").value,
+                preset: document.getElementById("prefix-prompt").value
+            } : null;
+
+            if (!supportedEngines.includes(type)) {
                 console.error('Unknown engine type:', type);
-                window.socket.emit('message', `Error: Unknown engine type: ${type}`);
-                window.socket.emit('done');
+                window.socket.emit('generation_error', { requestId, statusCode: 503, message: `Unknown engine type: ${type}`, type: 'engine_error' });
+                return;
             }
+
+            scheduleGeneration(type, requestId, async (job) => {
+                try {
+                    await runEngine(type, job, parsedMessages, settings);
+                } finally {
+                    if (donation) donateChat(donation, job);
+                }
+            }, {
+                model: resolved.model,
+                stop: settings?.stop,
+                tools: tools,
+                toolChoice: tool_choice,
+                responseFormat: response_format,
+                prompt: prompt
+            });
         });
 
-        window.socket.on('stop_generation', () => {
-            console.log('Received stop generation signal from server');
+        // Server asks which models this worker can serve (for /v1/models)
+        window.socket.on('list_models', (data, callback) => {
+            if (typeof callback === 'function') {
+                callback(getEngineModels());
+            }
+        });
+
+        window.socket.on('stop_generation', (data) => {
+            const requestId = data?.requestId;
+            console.log(`Received stop generation signal from server (request ${requestId})`);
             setTimeout(() => {
-                if (generationStopped) return;
+                if (requestId && !isGenerationActive(requestId)) return;
                 console.log('Confirming generation stop after delay');
-                stopGeneration();
+                stopGeneration(requestId);
             }, 1000);
         });
     } else {
@@ -216,7 +314,7 @@ export function manualConnect() {
                 statusDiv.innerHTML = '<span style="color: #74db7a;">✓ Successfully connected to backend</span>\n';
                 statusDiv.innerHTML += `Socket ID: ${window.socket.id}\n`;
                 statusDiv.innerHTML += `Transport: ${window.socket.io.engine.transport.name}\n`;
-                statusDiv.innerHTML += `Key: ${document.getElementById('key').innerHTML}`;
+                statusDiv.innerHTML += `Key: ${maskKey(window.clientKeys?.[0]?.key)}`;
             } else {
                 statusDiv.innerHTML = '<span style="color: #ff6b6b;">✗ Connection failed or still connecting...</span>\n';
                 statusDiv.innerHTML += 'Check console for details';
@@ -267,7 +365,7 @@ export function checkConnectionStatus() {
         statusDiv.innerHTML += `─────────────────────────\n`;
         statusDiv.innerHTML += `Socket ID: ${window.socket.id || 'N/A'}\n`;
         statusDiv.innerHTML += `Transport: ${window.socket.io.engine?.transport?.name || 'N/A'}\n`;
-        statusDiv.innerHTML += `User Key: ${document.getElementById('key').innerHTML}\n`;
+        statusDiv.innerHTML += `API Keys: ${(window.clientKeys || []).map(key => maskKey(key.key)).join(', ') || 'N/A'}\n`;
         statusDiv.innerHTML += `Reconnect Attempts: ${reconnectAttempts}\n`;
         statusDiv.innerHTML += `Checked at: ${timestamp}`;
     } else {
@@ -282,6 +380,135 @@ export function checkConnectionStatus() {
     }
 }
 
+function showClientKeys(keys) {
+    window.clientKeys = keys;
+    document.getElementById("key").innerHTML = keys[0]?.key || "[no keys]";
+    renderClientKeys();
+}
+
+function describeLimits(limits) {
+    const parts = [];
+    if (limits.requests_per_minute) parts.push(`${limits.requests_per_minute} req/min`);
+    if (limits.tokens_per_day) parts.push(`${limits.tokens_per_day} tokens/day`);
+    if (limits.models.length > 0) parts.push(`models: ${limits.models.join(", ")}`);
+    return parts.length > 0 ? parts.join(", ") : "no limits";
+}
+
+// One row per named key: name, key, limits, today's usage and a revoke button
+function renderClientKeys() {
+    const list = document.getElementById("client-keys");
+    if (!list) return;
+    list.innerHTML = "";
+
+    for (const entry of window.clientKeys || []) {
+        const row = document.createElement("div");
+        row.style.cssText = "background-color: #272727; padding: 8px; border-radius: 4px; margin: 6px auto; width: 70%; text-align: left;";
+
+        const title = document.createElement("b");
+        title.textContent = entry.name;
+        const key = document.createElement("div");
+        key.className = "code";
+        key.style.color = "#8b29db";
+        key.textContent = entry.key;
+        const details = document.createElement("div");
+        details.style.cssText = "color: #aaa; font-size: 12px;";
+        details.textContent = `${describeLimits(entry.limits)} | today: ${entry.usage.requests_today} requests, ${entry.usage.tokens_today} tokens`;
+        const revoke = document.createElement("button");
+        revoke.textContent = "revoke";
+        revoke.onclick = () => revokeClientKey(entry.index);
+
+        row.append(title, key, details, revoke);
+        list.appendChild(row);
+    }
+}
+
+// Send a key change to the server; every tab with our secret gets the new key list back
+function emitKeyChange(event, payload) {
+    if (!window.socket || !window.socket.connected) {
+        alert("Not connected to the backend, can't change keys right now");
+        return;
+    }
+    window.socket.emit(event, payload, (data) => {
+        if (data.error) {
+            alert(data.error);
+            return;
+        }
+        showClientKeys(data.keys);
+    });
+}
+
+// Mint a named key from the form under the key list; blank limits mean no limit
+export function createClientKey() {
+    const number = (id) => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return Number.isInteger(value) && value > 0 ? value : null;
+    };
+    const models = document.getElementById("new-key-models").value
+        .split(",")
+        .map(model => model.trim())
+        .filter(Boolean);
+
+    emitKeyChange('create_client_key', {
+        name: document.getElementById("new-key-name").value,
+        limits: {
+            requests_per_minute: number("new-key-rpm"),
+            tokens_per_day: number("new-key-tpd"),
+            models: models
+        }
+    });
+}
+
+export function revokeClientKey(index) {
+    const entry = (window.clientKeys || []).find(key => key.index === index);
+    if (!entry || !confirm(`Revoke the key "${entry.name}"? Anyone using it gets locked out right away.`)) return;
+    emitKeyChange('revoke_client_key', { index });
+}
+
+// Replace every API key with a new one (names and limits stay); callers using the old keys stop working
+export function rotateClientKeys() {
+    if (!confirm("Rotate your API keys? Every current key stops working and you'll need to paste the new ones everywhere you use them.")) return;
+    emitKeyChange('rotate_client_keys', {});
+}
+
+// Replace the worker secret itself, e.g. after it leaked: key names, limits and donations move to the new
+// secret, every API key changes and the old secret stops working. The new secret is kept aside before
+// asking, so this browser can still switch to it if the reply gets lost
+export function rotateWorkerSecret() {
+    if (!confirm("Rotate your worker secret? The old secret stops working, every API key changes, and other tabs reconnect with the new secret.")) return;
+    if (!window.socket || !window.socket.connected) {
+        alert("Not connected to the backend, can't rotate the secret right now");
+        return;
+    }
+    const next = generateWorkerSecret();
+    localStorage.setItem("worker-secret-next", next);
+    window.socket.emit('rotate_worker_secret', { secret: next }, (data) => {
+        if (data.error) {
+            localStorage.removeItem("worker-secret-next");
+            alert(data.error);
+            return;
+        }
+        localStorage.setItem("worker-secret", next);
+        localStorage.removeItem("worker-secret-next");
+    });
+}
+
+// Withdraw consent: the server deletes every chat this browser donated
+export async function deleteMyDonations() {
+    if (!confirm("Delete every chat you have donated? This can't be undone.")) return;
+    try {
+        const response = await fetch('/donate/mine', {
+            method: 'DELETE',
+            headers: { 'X-Worker-Secret': getWorkerSecret() }
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || `HTTP ${response.status}`);
+        document.getElementById("donate").checked = false;
+        alert(`Deleted ${result.deleted} donated chat${result.deleted === 1 ? '' : 's'}.`);
+    } catch (error) {
+        alert(`Could not delete your donations: ${error.message}`);
+    }
+}
+
 // Backend connection test function
 export async function sendTestMessage() {
     const testMessage = document.getElementById('test-message').value.trim();
@@ -294,8 +521,8 @@ export async function sendTestMessage() {
         return;
     }
 
-    const userKey = document.getElementById('key').innerHTML;
-    if (!userKey || userKey === '[Loading...]') {
+    const userKey = window.clientKeys?.[0]?.key;
+    if (!userKey) {
         responseDiv.textContent = 'Error: User key not loaded yet';
         responseDiv.style.color = '#ff6b6b';
         return;
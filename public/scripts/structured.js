@@ -0,0 +1,199 @@
+// Structured output helpers: response_format handling, JSON validation and schema conversion
+
+// Keep only the response_format shapes we understand; "text" means no constraint
+export function normalizeResponseFormat(responseFormat) {
+    if (!responseFormat || typeof responseFormat !== "object") return null;
+    if (responseFormat.type === "json_object") return { type: "json_object" };
+    if (responseFormat.type === "json_schema" && responseFormat.json_schema) {
+        return { type: "json_schema", json_schema: responseFormat.json_schema };
+    }
+    return null;
+}
+
+// The JSON schema a response_format asks for, if any
+export function getResponseSchema(responseFormat) {
+    return responseFormat?.type === "json_schema" ? responseFormat.json_schema.schema || null : null;
+}
+
+// Instruction appended to the system prompt of engines without a native JSON mode
+export function buildJsonPrompt(responseFormat) {
+    const schema = getResponseSchema(responseFormat);
+    let prompt = "Respond with a single valid JSON value and nothing else: no explanations, no markdown code fences.";
+    if (schema) {
+        prompt += " The JSON must match this JSON schema:\n" + JSON.stringify(schema);
+    }
+    return prompt;
+}
+
+// Gemini's responseSchema is an OpenAPI subset and rejects unknown keywords
+const geminiSchemaKeys = [
+    "type", "format", "description", "nullable", "enum", "properties", "required", "items",
+    "minItems", "maxItems", "minimum", "maximum", "anyOf", "propertyOrdering"
+];
+
+export function toGeminiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== "object") return schema;
+
+    const converted = {};
+    for (const key of geminiSchemaKeys) {
+        if (schema[key] === undefined) continue;
+        if (key === "properties") {
+            converted.properties = {};
+            for (const [name, value] of Object.entries(schema.properties)) {
+                converted.properties[name] = toGeminiSchema(value);
+            }
+        } else if (key === "items" || key === "anyOf") {
+            converted[key] = toGeminiSchema(schema[key]);
+        } else {
+            converted[key] = schema[key];
+        }
+    }
+
+    // ["string", "null"] style unions become nullable
+    if (Array.isArray(schema.type)) {
+        const types = schema.type.filter(type => type !== "null");
+        converted.type = types[0];
+        if (types.length < schema.type.length) converted.nullable = true;
+    }
+    return converted;
+}
+
+const MAX_JSON_CANDIDATES = 200; // parse attempts per output, so bracket-heavy text can't stall the worker
+
+// Pull the JSON out of model output: drop reasoning and code fences, then find a value that parses.
+// Every { or [ is a possible start, since text before the JSON (e.g. "[note]") may have brackets of its own.
+// Returns the first candidate `accept` takes, else the first that parses, else the text trimmed to its outer brackets
+function extractJson(text, accept = () => true) {
+    let cleaned = text.replace(/<think>[\s\S]*?<\/think>/g, "").trim();
+    const fenced = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) cleaned = fenced[1].trim();
+
+    let firstParsed = null;
+    let attempts = 0;
+    for (let start = nextOpening(cleaned, 0); start !== -1 && attempts < MAX_JSON_CANDIDATES; start = nextOpening(cleaned, start + 1)) {
+        const closer = cleaned[start] === "{" ? "}" : "]";
+        for (let end = cleaned.lastIndexOf(closer); end > start && attempts < MAX_JSON_CANDIDATES; end = cleaned.lastIndexOf(closer, end - 1)) {
+            attempts++;
+            const candidate = cleaned.slice(start, end + 1);
+            let value;
+            try {
+                value = JSON.parse(candidate);
+            } catch {
+                continue; // try a shorter value, then the next start
+            }
+            if (accept(value)) return candidate;
+            if (firstParsed === null) firstParsed = candidate;
+            break; // shorter values from this start are only parts of this one
+        }
+    }
+    if (firstParsed !== null) return firstParsed;
+
+    // Nothing parses: trim to the outermost brackets, so the parse error describes the likeliest value
+    const start = nextOpening(cleaned, 0);
+    const end = Math.max(cleaned.lastIndexOf("}"), cleaned.lastIndexOf("]"));
+    if (start !== -1 && end > start) cleaned = cleaned.slice(start, end + 1);
+    return cleaned;
+}
+
+// Index of the next { or [ at or after `from`, or -1
+function nextOpening(text, from) {
+    const brace = text.indexOf("{", from);
+    const bracket = text.indexOf("[", from);
+    if (brace === -1 || bracket === -1) return Math.max(brace, bracket);
+    return Math.min(brace, bracket);
+}
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number" && Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+// Minimal JSON schema check covering what structured output schemas use. Returns an error string or null
+export function checkSchema(value, schema, path = "$") {
+    if (!schema || typeof schema !== "object") return null;
+
+    if (schema.anyOf || schema.oneOf) {
+        const options = schema.anyOf || schema.oneOf;
+        return options.some(option => !checkSchema(value, option, path)) ? null : `${path} matches none of the allowed schemas`;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = typeOf(value);
+        const matches = types.some(type => type === actual || (type === "number" && actual === "integer"));
+        if (!matches) return `${path} should be ${types.join(" or ")}, got ${actual}`;
+    }
+
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+        return `${path} should be ${JSON.stringify(schema.const)}`;
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        return `${path} should be one of ${JSON.stringify(schema.enum)}`;
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} is shorter than ${schema.minLength}`;
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is longer than ${schema.maxLength}`;
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) return `${path} is below ${schema.minimum}`;
+        if (schema.maximum !== undefined && value > schema.maximum) return `${path} is above ${schema.maximum}`;
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) return `${path} needs at least ${schema.minItems} items`;
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} allows at most ${schema.maxItems} items`;
+        if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const error = checkSchema(value[i], schema.items, `${path}[${i}]`);
+                if (error) return error;
+            }
+        }
+    }
+
+    if (typeOf(value) === "object") {
+        for (const name of schema.required || []) {
+            if (!(name in value)) return `${path}.${name} is required`;
+        }
+        const properties = schema.properties || {};
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                const error = checkSchema(propertyValue, properties[name], `${path}.${name}`);
+                if (error) return error;
+            } else if (schema.additionalProperties === false) {
+                return `${path}.${name} is not allowed`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// Check model output against a response_format. Returns { valid, text } or { valid: false, error }
+export function validateJsonOutput(output, responseFormat) {
+    const schema = getResponseSchema(responseFormat);
+    const text = extractJson(output, (value) =>
+        (responseFormat.type !== "json_object" || typeOf(value) === "object") && !checkSchema(value, schema));
+
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, error: `it is not valid JSON (${error.message})` };
+    }
+
+    if (responseFormat.type === "json_object" && typeOf(value) !== "object") {
+        return { valid: false, error: "it must be a JSON object" };
+    }
+
+    const schemaError = checkSchema(value, schema);
+    if (schemaError) {
+        return { valid: false, error: `it does not match the schema: ${schemaError}` };
+    }
+
+    return { valid: true, text: JSON.stringify(value) };
+}
@@ -0,0 +1,152 @@
+// Tool / function calling helpers: native request shapes and prompt-based emulation
+
+// OpenAI-style id for a tool call we created ourselves
+export function createToolCallId() {
+    return "call_" + Math.random().toString(36).substring(2, 14);
+}
+
+// Only function tools with a name can be called
+export function normalizeTools(tools) {
+    if (!Array.isArray(tools)) return [];
+    return tools.filter(tool => tool && tool.type === "function" && tool.function && typeof tool.function.name === "string");
+}
+
+// Name of the single function tool_choice forces, if any
+function forcedToolName(toolChoice) {
+    return toolChoice && typeof toolChoice === "object" ? toolChoice.function?.name || null : null;
+}
+
+// Gemini wants function declarations instead of OpenAI tool objects
+export function toGeminiTools(tools) {
+    return [{
+        functionDeclarations: tools.map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description || "",
+            parameters: tool.function.parameters
+        }))
+    }];
+}
+
+// Map OpenAI tool_choice onto Gemini's functionCallingConfig
+export function toGeminiToolConfig(toolChoice) {
+    const forced = forcedToolName(toolChoice);
+    if (forced) {
+        return { functionCallingConfig: { mode: "ANY", allowedFunctionNames: [forced] } };
+    }
+    if (toolChoice === "none") return { functionCallingConfig: { mode: "NONE" } };
+    if (toolChoice === "required") return { functionCallingConfig: { mode: "ANY" } };
+    return { functionCallingConfig: { mode: "AUTO" } };
+}
+
+// Parse tool call arguments, which OpenAI sends as a JSON string
+function parseArguments(args) {
+    if (typeof args !== "string") return args || {};
+    try {
+        return JSON.parse(args);
+    } catch {
+        return {};
+    }
+}
+
+// Convert OpenAI messages with tool calls / tool results into Gemini contents parts
+export function toGeminiToolParts(msg, toolNames) {
+    if (msg.role === "tool") {
+        let response = msg.content;
+        try {
+            response = JSON.parse(msg.content);
+        } catch {
+            // plain text result
+        }
+        return [{
+            functionResponse: {
+                name: toolNames[msg.tool_call_id] || msg.name || "tool",
+                response: response && typeof response === "object" && !Array.isArray(response) ? response : { result: response }
+            }
+        }];
+    }
+
+    const parts = msg.content ? [{ text: msg.content }] : [];
+    for (const call of msg.tool_calls || []) {
+        toolNames[call.id] = call.function?.name;
+        parts.push({ functionCall: { name: call.function?.name, args: parseArguments(call.function?.arguments) } });
+    }
+    return parts;
+}
+
+// Opening / closing tags the emulated model wraps each call in
+export const TOOL_CALL_OPEN = "<tool_call>";
+export const TOOL_CALL_CLOSE = "</tool_call>";
+
+// System prompt that teaches a model without native tool support how to call our tools
+export function buildToolPrompt(tools, toolChoice) {
+    const definitions = tools.map(tool => JSON.stringify({
+        name: tool.function.name,
+        description: tool.function.description || "",
+        parameters: tool.function.parameters || {}
+    })).join("\n");
+
+    let prompt = "You can call the following tools. Each tool is described as JSON:\n" + definitions + "\n\n" +
+        "To call a tool, reply with one block per call in exactly this format and nothing after the last block:\n" +
+        TOOL_CALL_OPEN + "\n{\"name\": \"<tool name>\", \"arguments\": {<arguments as JSON>}}\n" + TOOL_CALL_CLOSE + "\n" +
+        "Tool results will be sent back to you in a later message. ";
+
+    const forced = forcedToolName(toolChoice);
+    if (forced) {
+        prompt += `You must call the tool "${forced}" now.`;
+    } else if (toolChoice === "required") {
+        prompt += "You must call at least one tool now.";
+    } else {
+        prompt += "Only call a tool when it is needed; otherwise answer normally.";
+    }
+    return prompt;
+}
+
+// Rewrite tool calls and tool results as plain text for engines that only understand user / assistant / system
+export function flattenToolMessages(messages) {
+    return messages.map(msg => {
+        if (msg.role === "tool") {
+            return {
+                role: "user",
+                content: `[Tool result for call ${msg.tool_call_id || "unknown"}${msg.name ? ` (${msg.name})` : ""}]\n${msg.content}`
+            };
+        }
+        if (msg.role === "assistant" && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+            const blocks = msg.tool_calls.map(call => TOOL_CALL_OPEN + "\n" + JSON.stringify({
+                name: call.function?.name,
+                arguments: parseArguments(call.function?.arguments)
+            }) + "\n" + TOOL_CALL_CLOSE);
+            return { role: "assistant", content: [msg.content || "", ...blocks].filter(Boolean).join("\n") };
+        }
+        return msg;
+    });
+}
+
+// Pull tool calls out of emulated output. Returns null if the text holds no valid call
+export function parseToolCallBlocks(text) {
+    const calls = [];
+    const pattern = /<tool_call>\s*([\s\S]*?)\s*(?:<\/tool_call>|$)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        // Models like to wrap the JSON in a code fence anyway
+        const body = match[1].replace(/^```(?:json)?\s*/, "").replace(/\s*```$/, "");
+        if (!body) continue;
+
+        try {
+            const parsed = JSON.parse(body);
+            if (!parsed || typeof parsed.name !== "string") return null;
+            calls.push({
+                id: createToolCallId(),
+                type: "function",
+                function: {
+                    name: parsed.name,
+                    arguments: JSON.stringify(parsed.arguments || {})
+                }
+            });
+        } catch {
+            return null;
+        }
+    }
+
+    return calls.length > 0 ? calls : null;
+}
@@ -14,6 +14,10 @@ import {
     manualConnect,
     manualDisconnect,
     checkConnectionStatus,
+    rotateClientKeys,
+    rotateWorkerSecret,
+    createClientKey,
+    deleteMyDonations,
     sendTestMessage
 } from './socket.js?v={{VERSION}}';
 import {
@@ -80,6 +84,10 @@ export function exposeGlobalFunctions() {
     window.manualConnect = manualConnect;
     window.manualDisconnect = manualDisconnect;
     window.checkConnectionStatus = checkConnectionStatus;
+    window.rotateClientKeys = rotateClientKeys;
+    window.rotateWorkerSecret = rotateWorkerSecret;
+    window.createClientKey = createClientKey;
+    window.deleteMyDonations = deleteMyDonations;
     window.sendTestMessage = sendTestMessage;
     window.clearFetchLogs = clearFetchLogs;
     window.toggleFetchDebugger = toggleFetchDebugger;
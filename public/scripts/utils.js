@@ -7,16 +7,28 @@ export function setupDeviceInfo() {
     document.getElementById("memory").innerHTML = navigator.deviceMemory;
 }
 
-// Initialize API key
+// Initialize the worker secret. It only authenticates this browser to the server; the API key
+// shown on the page is derived from it server-side and arrives once the socket connects
 export function initializeAPIKey() {
-    let apiKey = localStorage.getItem("id");
-    if (apiKey) {
-        document.getElementById("key").innerHTML = apiKey;
-    } else {
-        let id = crypto.randomUUID();
-        localStorage.setItem("id", id);
-        document.getElementById("key").innerHTML = id;
+    if (!localStorage.getItem("worker-secret")) {
+        localStorage.setItem("worker-secret", generateWorkerSecret());
     }
+    // The old id was both the handshake key and the API key; it is public now, so drop it
+    localStorage.removeItem("id");
+}
+
+export function generateWorkerSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function getWorkerSecret() {
+    return localStorage.getItem("worker-secret");
+}
+
+// Show only the start of a key in debug output
+export function maskKey(key) {
+    return key && key.length > 10 ? key.substring(0, 7) + "*".repeat(10) : "N/A";
 }
 
 // Check connectivity to various services
@@ -0,0 +1,153 @@
+// PII scrubbing for donated chats. Each detector finds one kind of personal or secret data and every hit
+// is replaced with the detector's typed placeholder, e.g. "[EMAIL]". A detector has either a global
+// `pattern`, or `patternFor(messages)` when what to look for depends on the chat (persona names).
+// `validate(match)` can reject pattern hits that fail a checksum. Detectors run in order, so specific
+// ones (private keys, API keys) claim their text before broad ones (phone numbers) see it
+const DETECTORS = [
+    {
+        name: 'private_key',
+        placeholder: '[PRIVATE_KEY]',
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+    },
+    {
+        name: 'jwt',
+        placeholder: '[JWT]',
+        pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/g
+    },
+    {
+        // OpenAI / Anthropic / OpenRouter (sk-...), AWS, Google, GitHub, GitLab, Slack, Hugging Face, Stripe
+        name: 'api_key',
+        placeholder: '[API_KEY]',
+        pattern: /\b(?:sk-[\w-]{20,}|AKIA[0-9A-Z]{16}|AIza[\w-]{35}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,}|glpat-[\w-]{20}|xox[abprs]-[\w-]{10,}|hf_[A-Za-z0-9]{30,}|[rs]k_(?:live|test)_[A-Za-z0-9]{20,})\b/g
+    },
+    {
+        // Credentials in a URL: user:password@host, or token-like query parameters
+        name: 'url_token',
+        placeholder: '[URL_TOKEN]',
+        pattern: /(?<=\bhttps?:\/\/)[^\s\/:@]+:[^\s\/@]+(?=@)|(?<=[?&](?:access_token|api_key|apikey|auth|code|key|password|secret|sig|signature|token)=)[^\s&#"']+/gi
+    },
+    {
+        name: 'email',
+        placeholder: '[EMAIL]',
+        pattern: /\b[\w.+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+    },
+    {
+        name: 'credit_card',
+        placeholder: '[CREDIT_CARD]',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: (match) => luhnValid(match.replace(/\D/g, ''))
+    },
+    {
+        name: 'iban',
+        placeholder: '[IBAN]',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        validate: (match) => ibanValid(match.replace(/ /g, ''))
+    },
+    {
+        // +country code numbers, and North American (555) 123-4567 style numbers
+        name: 'phone',
+        placeholder: '[PHONE]',
+        pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,4}|\(?\d{3}\)?[ .-]?\d{3}[ .-]\d{4})(?!\w)/g
+    },
+    {
+        // Names the chat itself declares: message `name` fields and "<Name>'s Persona:" lines in system prompts
+        name: 'persona_name',
+        placeholder: '[PERSONA]',
+        patternFor: (messages) => {
+            const names = new Set();
+            for (const message of messages) {
+                if (!message || typeof message !== 'object') continue;
+                if (typeof message.name === 'string') names.add(message.name.trim());
+                if (message.role === 'system' && typeof message.content === 'string') {
+                    for (const match of message.content.matchAll(/([\p{L}][\p{L}\p{M}' -]{1,40}?)'s Persona:/gu)) {
+                        names.add(match[1].trim());
+                    }
+                }
+            }
+            const usable = Array.from(names).filter(name => name.length >= 3).sort((a, b) => b.length - a.length);
+            if (usable.length === 0) return null;
+            const escaped = usable.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+        }
+    }
+];
+
+function luhnValid(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// ISO 13616: move the country code and check digits to the end, letters to numbers, mod 97 must be 1
+function ibanValid(iban) {
+    if (iban.length < 15 || iban.length > 34) return false;
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const value = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+        for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+// Build a scrubber from the default detectors minus the disabled ones, plus any extra detectors
+function createScrubber({ disabled = [], extraDetectors = [] } = {}) {
+    const known = DETECTORS.map(detector => detector.name);
+    const unknown = disabled.filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown PII detector(s) ${unknown.join(', ')} in donation.disabledDetectors; known detectors: ${known.join(', ')}`);
+    }
+    const detectors = DETECTORS.filter(detector => !disabled.includes(detector.name)).concat(extraDetectors);
+
+    function scrubText(text, patterns, counts) {
+        let result = text;
+        for (const { detector, pattern } of patterns) {
+            result = result.replace(pattern, (match) => {
+                if (detector.validate && !detector.validate(match)) return match;
+                counts[detector.name] = (counts[detector.name] || 0) + 1;
+                return detector.placeholder;
+            });
+        }
+        return result;
+    }
+
+    // Scrub the text of every message: string content, text parts, names and tool call arguments.
+    // Returns { messages, counts } where counts maps detector name -> number of hits
+    function scrubMessages(messages) {
+        const counts = {};
+        const patterns = detectors
+            .map(detector => ({ detector, pattern: detector.patternFor ? detector.patternFor(messages) : detector.pattern }))
+            .filter(entry => entry.pattern);
+        const scrub = (text) => typeof text === 'string' ? scrubText(text, patterns, counts) : text;
+
+        const scrubbed = messages.map(message => {
+            if (!message || typeof message !== 'object') return message;
+            const copy = { ...message };
+            if (typeof copy.content === 'string') {
+                copy.content = scrub(copy.content);
+            } else if (Array.isArray(copy.content)) {
+                copy.content = copy.content.map(part => part && part.type === 'text' ? { ...part, text: scrub(part.text) } : part);
+            }
+            if (typeof copy.name === 'string') copy.name = scrub(copy.name);
+            if (Array.isArray(copy.tool_calls)) {
+                copy.tool_calls = copy.tool_calls.map(call => call && call.function
+                    ? { ...call, function: { ...call.function, arguments: scrub(call.function.arguments) } }
+                    : call);
+            }
+            return copy;
+        });
+        return { messages: scrubbed, counts };
+    }
+
+    return { scrubMessages, detectors: detectors.map(detector => detector.name) };
+}
+
+module.exports = { createScrubber, DETECTORS, luhnValid, ibanValid };
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config');
+
+function withConfigFile(text, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'config.json'), text);
+        return fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('loadConfig merges declared settings from the config file', () => {
+    withConfigFile('{"relay":{"queueMaxDepth":3}}', (dir) => {
+        assert.strictEqual(loadConfig({}, dir).relay.queueMaxDepth, 3);
+    });
+});
+
+test('loadConfig reports inherited names as unknown settings', () => {
+    withConfigFile('{"constructor":1,"__proto__":{"polluted":true},"relay":{"toString":2}}', (dir) => {
+        assert.throws(() => loadConfig({}, dir), (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.deepStrictEqual(error.problems, [
+                'Unknown setting "constructor"',
+                'Unknown setting "__proto__"',
+                'Unknown setting "relay.toString"'
+            ]);
+            return true;
+        });
+    });
+    assert.strictEqual({}.polluted, undefined);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getFormat, exportRecords, parseExportQuery } = require('../dataset');
+
+test('getFormat only knows the export formats', () => {
+    assert.ok(getFormat('sharegpt'));
+    assert.ok(getFormat('openai'));
+    assert.ok(getFormat('alpaca'));
+    assert.strictEqual(getFormat('csv'), null);
+});
+
+test('getFormat ignores inherited names', () => {
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        assert.strictEqual(getFormat(name), null, name);
+    }
+});
+
+test('exportRecords writes an openai line per chat that has an assistant turn', async () => {
+    const records = [
+        { id: 'a', hash: 'a', created_at: '2025-01-01T00:00:00Z', messages: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }, { role: 'user', content: 'bye' }] },
+        { id: 'b', hash: 'b', created_at: '2025-01-01T00:00:00Z', messages: [{ role: 'user', content: 'no answer' }] }
+    ];
+    let output = '';
+    for await (const chunk of exportRecords(records, 'openai', parseExportQuery({}).options)) output += chunk;
+    assert.deepStrictEqual(output.trim().split('\n').map(line => JSON.parse(line)), [
+        { messages: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }] }
+    ]);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScrubber } = require('../scrub');
+
+test('scrubMessages replaces persona names declared by the chat', () => {
+    const { messages, counts } = createScrubber().scrubMessages([
+        { role: 'system', content: "Alice's Persona: kind and curious" },
+        { role: 'user', name: 'Alice', content: 'hi, Alice here' }
+    ]);
+    assert.strictEqual(messages[0].content, "[PERSONA]'s Persona: kind and curious");
+    assert.strictEqual(messages[1].name, '[PERSONA]');
+    assert.strictEqual(messages[1].content, 'hi, [PERSONA] here');
+    assert.strictEqual(counts.persona_name, 3);
+});
+
+test('scrubMessages passes non-object entries through', () => {
+    const { messages } = createScrubber().scrubMessages([null, 3, { role: 'user', content: 'mail me at a@example.com' }]);
+    assert.deepStrictEqual(messages, [null, 3, { role: 'user', content: 'mail me at [EMAIL]' }]);
+});